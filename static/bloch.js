@@ -0,0 +1,183 @@
+import * as THREE from 'three';
+import { parseAngle, ParseError } from './expression.js';
+
+// --- Bloch-egyenletek ---
+// A mágnesezettséget a meghajtással együtt forgó rendszerben integráljuk, mert ott
+// nincs gyors Larmor-precesszió; a laborrendszerbe csak megjelenítéskor forgatunk vissza.
+//
+// dM/dt = Ω × M - (Mx/T2, My/T2, (Mz - M0)/T1),  Ω = 2π (f1, 0, Δf),  M0 = +z (|0>)
+// A precesszió jobbkezes Ω körül, ugyanúgy, mint az Rx/Ry/Rz kapuknál.
+//
+// params: { larmor, drive, detuning, driveLength, t1, t2 }
+//   frekvenciák Hz-ben, idők s-ban; driveLength = 0 folyamatos meghajtás, T1/T2 = Infinity nincs relaxáció
+
+const TWO_PI = 2 * Math.PI;
+const MAX_STEP = 0.01;
+const MAX_STEPS_PER_CALL = 10000;
+
+function driveOn(params, t) {
+  return params.driveLength <= 0 || t < params.driveLength;
+}
+
+export function effectiveField(params, t) {
+  const drive = driveOn(params, t) ? params.drive : 0;
+  return new THREE.Vector3(TWO_PI * drive, 0, TWO_PI * params.detuning);
+}
+
+export function derivative(m, t, params) {
+  const omega = effectiveField(params, t);
+  const dm = new THREE.Vector3().crossVectors(omega, m);
+  dm.x -= m.x / params.t2;
+  dm.y -= m.y / params.t2;
+  dm.z -= (m.z - 1) / params.t1;
+  return dm;
+}
+
+export function rk4Step(m, t, h, params) {
+  const k1 = derivative(m, t, params);
+  const k2 = derivative(m.clone().addScaledVector(k1, h / 2), t + h / 2, params);
+  const k3 = derivative(m.clone().addScaledVector(k2, h / 2), t + h / 2, params);
+  const k4 = derivative(m.clone().addScaledVector(k3, h), t + h, params);
+  return m.clone()
+    .addScaledVector(k1, h / 6)
+    .addScaledVector(k2, h / 3)
+    .addScaledVector(k3, h / 3)
+    .addScaledVector(k4, h / 6);
+}
+
+// A lépésköz a leggyorsabb forgáshoz igazodik, így egy lépés legfeljebb ~0.1 rad
+export function integrate(m, t, duration, params) {
+  const fastest = Math.max(effectiveField(params, t).length(), 1e-9);
+  const steps = Math.min(Math.ceil(duration / Math.min(MAX_STEP, 0.1 / fastest)), MAX_STEPS_PER_CALL);
+  if (steps <= 0) return m.clone();
+
+  const h = duration / steps;
+  let current = m.clone();
+  for (let i = 0; i < steps; i++) {
+    current = rk4Step(current, t + i * h, h, params);
+  }
+  return current;
+}
+
+// A forgó rendszer ω_rf = 2π (f0 - Δf) szögsebességgel forog a z tengely körül
+function frameAngle(t, params) {
+  return TWO_PI * (params.larmor - params.detuning) * t;
+}
+
+export function rotatingToLab(m, t, params) {
+  return m.clone().applyAxisAngle(new THREE.Vector3(0, 0, 1), frameAngle(t, params));
+}
+
+export function labToRotating(m, t, params) {
+  return m.clone().applyAxisAngle(new THREE.Vector3(0, 0, 1), -frameAngle(t, params));
+}
+
+// --- Izokromát együttes (spin-visszhang, CPMG) ---
+// Az együttes a vivőfrekvenciával forgó rendszerben él, minden izokromátnak saját Δf elhangolása van.
+
+// Az inverz hibafüggvény közelítése (Winitzki), a Gauss-eloszlás kvantiliseihez elég pontos
+function erfinv(x) {
+  const a = 0.147;
+  const ln = Math.log(1 - x * x);
+  const t = 2 / (Math.PI * a) + ln / 2;
+  return Math.sign(x) * Math.sqrt(Math.sqrt(t * t - ln / a) - t);
+}
+
+// Determinisztikus kvantilisek, így ugyanazok a paraméterek mindig ugyanazt az együttest adják.
+// width: Lorentz esetén félérték-félszélesség, Gauss esetén szórás, egyenletesnél a fél szélesség (Hz)
+export function isochromatOffsets(count, distribution, width) {
+  const offsets = [];
+  for (let i = 0; i < count; i++) {
+    const u = (i + 0.5) / count;
+    switch (distribution) {
+      case 'lorentzian':
+        offsets.push(width * Math.tan(Math.PI * (u - 0.5)));
+        break;
+      case 'gaussian':
+        offsets.push(width * Math.SQRT2 * erfinv(2 * u - 1));
+        break;
+      case 'uniform':
+        offsets.push(width * (2 * u - 1));
+        break;
+      default:
+        throw new Error(`Ismeretlen eloszlás: ${distribution}`);
+    }
+  }
+  return offsets;
+}
+
+// Szabad precesszió meghajtás nélkül, pontos megoldás: z körüli forgás és relaxáció
+export function freePrecession(m, duration, detuning, t1, t2) {
+  const rotated = m.clone().applyAxisAngle(new THREE.Vector3(0, 0, 1), TWO_PI * detuning * duration);
+  const transverse = Math.exp(-duration / t2);
+  const longitudinal = Math.exp(-duration / t1);
+  return new THREE.Vector3(
+    rotated.x * transverse,
+    rotated.y * transverse,
+    1 + (rotated.z - 1) * longitudinal
+  );
+}
+
+// --- Impulzussorozatok ---
+// Soronként egy esemény, '#' után megjegyzés:
+//   P <szög> [x|y|-x|-y]   pillanatszerű impulzus (szög fokban vagy pi-vel radiánban)
+//   D <másodperc>          szabad precesszió
+const PULSE_AXES = ['x', 'y', '-x', '-y'];
+
+export function parsePulseSequence(text) {
+  const events = [];
+  let lineStart = 0;
+  text.split('\n').forEach((rawLine, index) => {
+    const position = lineStart;
+    lineStart += rawLine.length + 1;
+    const line = rawLine.replace(/#.*/, '').trim();
+    if (line === '') return;
+    const lineNo = index + 1;
+    const [command, ...args] = line.split(/\s+/);
+
+    switch (command.toUpperCase()) {
+      case 'P': {
+        if (args.length < 1 || args.length > 2) {
+          throw new ParseError(`Line ${lineNo}: expected "P <angle> [axis]"`, position);
+        }
+        const axis = (args[1] ?? 'x').toLowerCase();
+        if (!PULSE_AXES.includes(axis)) {
+          throw new ParseError(`Line ${lineNo}: unknown pulse axis "${args[1]}"`, position);
+        }
+        let angle;
+        try {
+          angle = parseAngle(args[0]);
+        } catch (e) {
+          throw new ParseError(`Line ${lineNo}: ${e.message}`, position);
+        }
+        events.push({ type: 'pulse', angle, axis });
+        break;
+      }
+      case 'D': {
+        const duration = Number(args[0]);
+        if (args.length !== 1 || !Number.isFinite(duration) || duration < 0) {
+          throw new ParseError(`Line ${lineNo}: expected "D <seconds>"`, position);
+        }
+        events.push({ type: 'delay', duration });
+        break;
+      }
+      default:
+        throw new ParseError(`Line ${lineNo}: unknown command "${command}"`, position);
+    }
+  });
+  return events;
+}
+
+// 90x – τ – 180y – τ, a visszhang 2τ-nál; utána még τ ideig nézzük a szétfutást
+export function spinEchoSequence(tau) {
+  return ['P 90 x', `D ${tau}`, 'P 180 y', `D ${2 * tau}`].join('\n');
+}
+
+// 90x – [τ – 180y – τ] × n, visszhang minden 180-as impulzus után τ-val
+export function cpmgSequence(tau, echoes) {
+  const lines = ['P 90 x'];
+  for (let i = 0; i < echoes; i++) {
+    lines.push(`D ${tau}`, 'P 180 y', `D ${tau}`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,229 @@
+/**
+ * Versioned JSON format for exercise sets: reach a target state from a start
+ * state with a restricted gate set and a limited number of moves.
+ *
+ *   {
+ *     "format": "bloch-sim-exercises", "version": 1,
+ *     "title": "Clifford+T warm-up",
+ *     "exercises": [{
+ *       "title": "Make |+i⟩",
+ *       "description": "Only H and S are available.",    // optional
+ *       "start": "|0⟩",
+ *       "target": { "theta": "90", "phi": "pi/2" },
+ *       "gates": ["h", "s"],                              // gate registry ids, see gates.js
+ *       "maxMoves": 2,                                    // optional, unlimited if left out
+ *       "minFidelity": 0.99                               // optional, counts as solved from here
+ *     }]
+ *   }
+ *
+ * States are pure and written either as a named ket ("|0⟩", "|1⟩", "|+⟩",
+ * "|−⟩", "|+i⟩", "|−i⟩"; a plain "-" works too) or as Bloch angles
+ * { "theta", "phi" }, which are angle expressions (see expression.js): plain
+ * numbers are degrees, expressions with pi are radians.
+ */
+
+import * as QMath from './math.js';
+import { parseAngle } from './expression.js';
+import { getGate } from './gates.js';
+
+export const EXERCISES_FORMAT = 'bloch-sim-exercises';
+export const EXERCISES_VERSION = 1;
+export const RESULTS_FORMAT = 'bloch-sim-exercise-results';
+
+const DEFAULT_MIN_FIDELITY = 0.99;
+
+const NAMED_KETS = {
+  '|0⟩': QMath.ket0,
+  '|1⟩': QMath.ket1,
+  '|+⟩': QMath.ketPlus,
+  '|−⟩': QMath.ketMinus,
+  '|+i⟩': QMath.ketPlusI,
+  '|−i⟩': QMath.ketMinusI
+};
+
+export class ExerciseError extends Error {
+  /**
+   * @param {string} message Human readable description of the problem.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ExerciseError';
+  }
+}
+
+function fail(path, message) {
+  throw new ExerciseError(`${path}: ${message}`);
+}
+
+function isObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readText(value, path, optional = false) {
+  if (optional && value === undefined) return '';
+  if (typeof value !== 'string' || (!optional && value.trim() === '')) fail(path, 'expected a non-empty string');
+  return value.trim();
+}
+
+function readAngle(value, path) {
+  if (typeof value !== 'string' && typeof value !== 'number') fail(path, 'expected an angle such as "90" or "pi/2"');
+  try {
+    return parseAngle(String(value));
+  } catch (e) {
+    fail(path, e.message);
+  }
+}
+
+function readState(value, path) {
+  if (typeof value === 'string') {
+    const ket = NAMED_KETS[value.trim().replace(/-/g, '−').replace(/>$/, '⟩')];
+    if (ket == null) fail(path, `unknown state "${value}", expected one of ${Object.keys(NAMED_KETS).join(', ')}`);
+    return ket;
+  }
+  if (!isObject(value)) fail(path, 'expected a named ket such as "|0⟩" or { "theta", "phi" }');
+
+  const theta = readAngle(value.theta, `${path}.theta`);
+  const phi = readAngle(value.phi ?? 0, `${path}.phi`);
+  return QMath.blochToState({
+    x: Math.sin(theta) * Math.cos(phi),
+    y: Math.sin(theta) * Math.sin(phi),
+    z: Math.cos(theta)
+  });
+}
+
+function readExercise(value, path) {
+  if (!isObject(value)) fail(path, 'expected an exercise object');
+
+  if (!Array.isArray(value.gates) || value.gates.length === 0) fail(`${path}.gates`, 'expected a list of gate ids');
+  const gates = value.gates.map((id, i) => {
+    if (typeof id !== 'string' || getGate(id) == null) fail(`${path}.gates[${i}]`, `unknown gate "${id}"`);
+    return id;
+  });
+
+  const maxMoves = value.maxMoves ?? null;
+  if (maxMoves !== null && (!Number.isInteger(maxMoves) || maxMoves < 1)) {
+    fail(`${path}.maxMoves`, 'expected a positive integer');
+  }
+  const minFidelity = value.minFidelity ?? DEFAULT_MIN_FIDELITY;
+  if (typeof minFidelity !== 'number' || !(minFidelity > 0 && minFidelity <= 1)) {
+    fail(`${path}.minFidelity`, 'expected a number greater than 0 and at most 1');
+  }
+
+  return {
+    title: readText(value.title, `${path}.title`),
+    description: readText(value.description, `${path}.description`, true),
+    start: readState(value.start ?? '|0⟩', `${path}.start`),
+    target: readState(value.target, `${path}.target`),
+    gates: [...new Set(gates)],
+    maxMoves,
+    minFidelity
+  };
+}
+
+/**
+ * Validates an exercise set that has already been parsed from JSON.
+ *
+ * @param {object} data The exercise set.
+ * @returns {{title: string, exercises: object[]}} The exercises, with states in
+ *     the representation used by math.js.
+ * @throws {ExerciseError} If the data is not a valid exercise set.
+ */
+export function readExercises(data) {
+  if (!isObject(data) || data.format !== EXERCISES_FORMAT) {
+    throw new ExerciseError('Not a Bloch sphere exercise file');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) fail('version', 'expected a positive integer');
+  if (data.version > EXERCISES_VERSION) {
+    throw new ExerciseError(`The exercises were written in format version ${data.version}, this page reads up to version ${EXERCISES_VERSION}`);
+  }
+  if (!Array.isArray(data.exercises) || data.exercises.length === 0) fail('exercises', 'expected a list of exercises');
+
+  return {
+    title: readText(data.title ?? 'Exercises', 'title'),
+    exercises: data.exercises.map((exercise, i) => readExercise(exercise, `exercises[${i}]`))
+  };
+}
+
+/**
+ * Parses and validates an exercise file.
+ *
+ * @param {string} text The JSON text.
+ * @returns {{title: string, exercises: object[]}} See readExercises.
+ * @throws {ExerciseError} If the text is not a valid exercise set.
+ */
+export function parseExercises(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new ExerciseError(`Not valid JSON (${e.message})`);
+  }
+  return readExercises(data);
+}
+
+/**
+ * Converts the results of an exercise set into their JSON representation.
+ *
+ * @param {string} title The title of the exercise set.
+ * @param {{title: string, solved: boolean, moves: number|null, attempts: number,
+ *     bestFidelity: number, solution: string[]}[]} results One entry per exercise, in order.
+ * @returns {object} A plain object ready for JSON.stringify.
+ */
+export function serializeResults(title, results) {
+  return {
+    format: RESULTS_FORMAT,
+    version: EXERCISES_VERSION,
+    title,
+    finished: new Date().toISOString(),
+    solved: results.filter(result => result.solved).length,
+    results: results.map(result => ({
+      title: result.title,
+      solved: result.solved,
+      moves: result.moves,
+      attempts: result.attempts,
+      bestFidelity: Number(result.bestFidelity.toFixed(6)),
+      solution: result.solution
+    }))
+  };
+}
+
+// Offered before an instructor loads their own file
+export const EXAMPLE_EXERCISES = {
+  format: EXERCISES_FORMAT,
+  version: EXERCISES_VERSION,
+  title: 'Examples',
+  exercises: [
+    {
+      title: 'Superposition',
+      description: 'Turn |0⟩ into |+⟩ with a single gate.',
+      start: '|0⟩',
+      target: '|+⟩',
+      gates: ['h', 'x', 'z'],
+      maxMoves: 1
+    },
+    {
+      title: 'Around the equator',
+      description: 'Reach |+i⟩ using only H and S.',
+      start: '|0⟩',
+      target: '|+i⟩',
+      gates: ['h', 's'],
+      maxMoves: 2
+    },
+    {
+      title: 'Eighth of a turn',
+      description: 'Reach the equator at φ = 45° using only H and T.',
+      start: '|0⟩',
+      target: { theta: 90, phi: 45 },
+      gates: ['h', 't'],
+      maxMoves: 2
+    },
+    {
+      title: 'Flip it back',
+      description: 'Bring |−⟩ to |1⟩ with H and Z in at most three moves.',
+      start: '|−⟩',
+      target: '|1⟩',
+      gates: ['h', 'z'],
+      maxMoves: 3
+    }
+  ]
+};
@@ -0,0 +1,488 @@
+/**
+ * Parser for the angle expressions typed into the gate inputs.
+ *
+ * Supported syntax: numbers, `pi` / `π`, + - * / ^, parentheses, implicit
+ * multiplication (`2pi`, `3(pi/4)`) and a `deg` / `°` suffix on numbers.
+ * A plain number is read as degrees; as soon as the expression mentions
+ * `pi` or a unit suffix, the result is taken to be in radians. A sum cannot
+ * mix the two, so `pi/4 + 45` is an error; `pi/4 + 45deg` is 90°.
+ *
+ * Gate sequences such as `H T Rz(pi/3) X` or `(H T)^3 S` build on the same
+ * tokens: gates are separated by whitespace, parameterised gates take angle
+ * expressions in parentheses and a parenthesised group can be repeated with
+ * `^n`.
+ *
+ * Complex amplitudes (`0.6 - 0.8i`, `1/sqrt(2)`, `exp(i pi/4)`) use the same
+ * tokens with complex arithmetic; see parseComplex.
+ */
+
+export class ParseError extends Error {
+  /**
+   * @param {string} message Human readable description of the problem.
+   * @param {number} position Character offset of the offending token.
+   */
+  constructor(message, position) {
+    super(message);
+    this.name = 'ParseError';
+    this.position = position;
+  }
+}
+
+const NUMBER_RE = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i;
+const WORD_RE = /^[a-zA-Z_π°][a-zA-Z0-9_]*/;
+
+/**
+ * Splits the input into tokens of shape { type, value, position }.
+ *
+ * @param {string} text The source text.
+ * @returns {{type: string, value: *, position: number}[]}
+ */
+export function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    const rest = text.slice(i);
+    const number = rest.match(NUMBER_RE);
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    if ('+-*/^(),'.includes(ch)) {
+      tokens.push({ type: ch, value: ch, position: i });
+      i++;
+      continue;
+    }
+
+    const word = rest.match(WORD_RE);
+    if (word) {
+      tokens.push({ type: 'word', value: word[0], position: i });
+      i += word[0].length;
+      continue;
+    }
+
+    throw new ParseError(`Unexpected character "${ch}"`, i);
+  }
+  tokens.push({ type: 'end', value: null, position: text.length });
+  return tokens;
+}
+
+function isPi(token) {
+  return token.type === 'word' && (token.value.toLowerCase() === 'pi' || token.value === 'π');
+}
+
+function isDegreeSuffix(token) {
+  return token.type === 'word' && (token.value.toLowerCase() === 'deg' || token.value === '°');
+}
+
+/**
+ * Recursive descent parser over a token list. `pos` is shared so that other
+ * parsers can embed angle expressions in a larger grammar.
+ */
+export class AngleParser {
+  constructor(tokens, pos = 0) {
+    this.tokens = tokens;
+    this.pos = pos;
+    this.usesRadians = false;
+    // The first + or - joining a degree term to a radian term
+    this.mixedUnits = null;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  expect(type) {
+    const token = this.next();
+    if (token.type !== type) {
+      throw new ParseError(`Expected "${type}" but found ${describe(token)}`, token.position);
+    }
+    return token;
+  }
+
+  expression() {
+    const outer = this.usesRadians;
+    this.usesRadians = false;
+    let value = this.term();
+    const radians = this.usesRadians;
+    while (this.peek().type === '+' || this.peek().type === '-') {
+      const op = this.next();
+      this.usesRadians = false;
+      const rhs = this.term();
+      // Only an error for angles, see angle(): OpenQASM parameters are radians throughout
+      if (this.usesRadians !== radians) this.mixedUnits ??= op;
+      value = op.type === '+' ? value + rhs : value - rhs;
+    }
+    this.usesRadians = outer || radians;
+    return value;
+  }
+
+  term() {
+    let value = this.unary();
+    for (;;) {
+      const token = this.peek();
+      if (token.type === '*' || token.type === '/') {
+        this.next();
+        const rhs = this.unary();
+        value = token.type === '*' ? value * rhs : value / rhs;
+      } else if (token.type === '(' || isPi(token)) {
+        value *= this.power();
+      } else {
+        return value;
+      }
+    }
+  }
+
+  unary() {
+    const token = this.peek();
+    if (token.type === '-') {
+      this.next();
+      return -this.unary();
+    }
+    if (token.type === '+') {
+      this.next();
+      return this.unary();
+    }
+    return this.power();
+  }
+
+  power() {
+    const base = this.primary();
+    if (this.peek().type === '^') {
+      this.next();
+      return Math.pow(base, this.unary());
+    }
+    return base;
+  }
+
+  primary() {
+    const token = this.next();
+    if (token.type === 'number') {
+      if (isDegreeSuffix(this.peek())) {
+        this.next();
+        this.usesRadians = true;
+        return token.value / 180.0 * Math.PI;
+      }
+      return token.value;
+    }
+    if (isPi(token)) {
+      this.usesRadians = true;
+      return Math.PI;
+    }
+    if (token.type === '(') {
+      const value = this.expression();
+      this.expect(')');
+      return value;
+    }
+    throw new ParseError(`Unexpected ${describe(token)}`, token.position);
+  }
+
+  /**
+   * Parses one angle and converts it to radians following the degree rule
+   * described at the top of this module.
+   */
+  angle() {
+    this.usesRadians = false;
+    this.mixedUnits = null;
+    const start = this.peek().position;
+    const value = this.expression();
+    if (this.mixedUnits != null) {
+      throw new ParseError('Cannot add a plain number, read as degrees, to an angle with pi or deg; write 45deg or pi/4', this.mixedUnits.position);
+    }
+    if (!Number.isFinite(value)) {
+      throw new ParseError('Angle is not a finite number', start);
+    }
+    return this.usesRadians ? value : value / 180.0 * Math.PI;
+  }
+}
+
+function describe(token) {
+  return token.type === 'end' ? 'end of input' : `"${token.value}"`;
+}
+
+/**
+ * Parses an angle such as `45`, `pi/8`, `-3pi/4` or `30deg` into radians.
+ *
+ * @param {string} text The text typed by the user.
+ * @returns {number} The angle in radians.
+ * @throws {ParseError} If the text is not a valid angle expression.
+ */
+export function parseAngle(text) {
+  const parser = new AngleParser(tokenize(text));
+  if (parser.peek().type === 'end') {
+    throw new ParseError('Angle is empty', 0);
+  }
+  const value = parser.angle();
+  const token = parser.peek();
+  if (token.type !== 'end') {
+    throw new ParseError(`Unexpected ${describe(token)}`, token.position);
+  }
+  return value;
+}
+
+const MAX_SEQUENCE_LENGTH = 10000;
+
+/**
+ * Parser for gate sequences. Which names are gates, and how many angles each
+ * takes, is decided by the caller, so the grammar does not depend on the gate set.
+ */
+export class GateSequenceParser extends AngleParser {
+  /**
+   * @param {string} text The source text.
+   * @param {function(string): (number|undefined)} arity Returns the number of
+   *     angles a gate takes, or undefined if the name is not a gate.
+   */
+  constructor(text, arity) {
+    super(tokenize(text));
+    this.text = text;
+    this.arity = arity;
+  }
+
+  sequence(open = null) {
+    const gates = [];
+    for (;;) {
+      const token = this.peek();
+      if (open == null ? token.type === 'end' : token.type === ')') return gates;
+      if (token.type === 'end') {
+        throw new ParseError('Missing ")" for this "("', open.position);
+      }
+      gates.push(...this.item());
+      if (gates.length > MAX_SEQUENCE_LENGTH) {
+        throw new ParseError(`Sequence is longer than ${MAX_SEQUENCE_LENGTH} gates`, token.position);
+      }
+    }
+  }
+
+  item() {
+    const start = this.peek();
+    let gates = this.atom();
+    if (this.peek().type !== '^') return gates;
+
+    this.next();
+    const count = this.next();
+    if (count.type !== 'number' || !Number.isInteger(count.value)) {
+      throw new ParseError(`Expected a whole repeat count but found ${describe(count)}`, count.position);
+    }
+    if (gates.length * count.value > MAX_SEQUENCE_LENGTH) {
+      throw new ParseError(`Sequence is longer than ${MAX_SEQUENCE_LENGTH} gates`, start.position);
+    }
+    return Array.from({ length: count.value }, () => gates).flat();
+  }
+
+  atom() {
+    const token = this.next();
+    if (token.type === '(') {
+      const gates = this.sequence(token);
+      this.next();
+      return gates;
+    }
+    if (token.type !== 'word') {
+      throw new ParseError(`Expected a gate but found ${describe(token)}`, token.position);
+    }
+
+    const count = this.arity(token.value);
+    if (count == null) {
+      throw new ParseError(`Unknown gate "${token.value}"`, token.position);
+    }
+    const gate = { name: token.value, params: [], texts: [], position: token.position };
+    if (count === 0) return [gate];
+
+    if (this.peek().type !== '(') {
+      throw new ParseError(`Gate "${token.value}" needs ${count} angle(s) in parentheses`, this.peek().position);
+    }
+    this.next();
+    for (let i = 0; i < count; i++) {
+      if (i > 0) {
+        const comma = this.next();
+        if (comma.type !== ',') {
+          throw new ParseError(`Gate "${token.value}" takes ${count} angles, expected "," but found ${describe(comma)}`, comma.position);
+        }
+      }
+      const start = this.peek().position;
+      gate.params.push(this.angle());
+      gate.texts.push(this.text.slice(start, this.peek().position).trim());
+    }
+    const close = this.next();
+    if (close.type !== ')') {
+      throw new ParseError(`Gate "${token.value}" takes ${count} angle(s), expected ")" but found ${describe(close)}`, close.position);
+    }
+    return [gate];
+  }
+}
+
+/**
+ * Parses a gate sequence and expands its repetitions.
+ *
+ * @param {string} text The text typed by the user, e.g. `(H T)^3 Rz(pi/3)`.
+ * @param {function(string): (number|undefined)} arity See GateSequenceParser.
+ * @returns {{name: string, params: number[], texts: string[], position: number}[]}
+ *     The gates in the order they are applied, angles in radians.
+ * @throws {ParseError} If the text is not a valid sequence.
+ */
+export function parseGateSequence(text, arity) {
+  const parser = new GateSequenceParser(text, arity);
+  const gates = parser.sequence();
+  if (gates.length === 0) {
+    throw new ParseError('Sequence is empty', 0);
+  }
+  return gates;
+}
+
+// --- Complex expressions ---
+
+const cx = (re, im = 0) => ({ re, im });
+const cadd = (a, b) => cx(a.re + b.re, a.im + b.im);
+const csub = (a, b) => cx(a.re - b.re, a.im - b.im);
+const cmul = (a, b) => cx(a.re * b.re - a.im * b.im, a.re * b.im + a.im * b.re);
+
+function cdiv(a, b) {
+  const d = b.re * b.re + b.im * b.im;
+  return cx((a.re * b.re + a.im * b.im) / d, (a.im * b.re - a.re * b.im) / d);
+}
+
+function cexp(a) {
+  const r = Math.exp(a.re);
+  return cx(r * Math.cos(a.im), r * Math.sin(a.im));
+}
+
+function clog(a) {
+  return cx(Math.log(Math.hypot(a.re, a.im)), Math.atan2(a.im, a.re));
+}
+
+function cpow(a, b) {
+  if (a.re === 0 && a.im === 0) return cx(0);
+  return cexp(cmul(b, clog(a)));
+}
+
+const COMPLEX_FUNCTIONS = {
+  sqrt: a => cpow(a, cx(0.5)),
+  exp: cexp
+};
+
+/**
+ * Recursive descent parser for complex numbers over the shared token list.
+ * Words are `i` / `j`, `pi`, `e` and the functions sqrt and exp.
+ */
+export class ComplexParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  expression() {
+    let value = this.term();
+    while (this.peek().type === '+' || this.peek().type === '-') {
+      const op = this.next().type;
+      const rhs = this.term();
+      value = op === '+' ? cadd(value, rhs) : csub(value, rhs);
+    }
+    return value;
+  }
+
+  term() {
+    let value = this.unary();
+    for (;;) {
+      const token = this.peek();
+      if (token.type === '*' || token.type === '/') {
+        this.next();
+        const rhs = this.unary();
+        value = token.type === '*' ? cmul(value, rhs) : cdiv(value, rhs);
+      } else if (token.type === '(' || token.type === 'word') {
+        value = cmul(value, this.power());
+      } else {
+        return value;
+      }
+    }
+  }
+
+  unary() {
+    const token = this.peek();
+    if (token.type === '-') {
+      this.next();
+      return cmul(cx(-1), this.unary());
+    }
+    if (token.type === '+') {
+      this.next();
+      return this.unary();
+    }
+    return this.power();
+  }
+
+  power() {
+    const base = this.primary();
+    if (this.peek().type === '^') {
+      this.next();
+      return cpow(base, this.unary());
+    }
+    return base;
+  }
+
+  primary() {
+    const token = this.next();
+    if (token.type === 'number') return cx(token.value);
+    if (token.type === '(') {
+      const value = this.expression();
+      const close = this.next();
+      if (close.type !== ')') {
+        throw new ParseError(`Expected ")" but found ${describe(close)}`, close.position);
+      }
+      return value;
+    }
+    if (token.type === 'word') {
+      const word = token.value.toLowerCase();
+      if (word === 'i' || word === 'j') return cx(0, 1);
+      if (isPi(token)) return cx(Math.PI);
+      if (word === 'e') return cx(Math.E);
+      if (Object.hasOwn(COMPLEX_FUNCTIONS, word)) {
+        if (this.peek().type !== '(') {
+          throw new ParseError(`Expected "(" after ${word}`, this.peek().position);
+        }
+        return COMPLEX_FUNCTIONS[word](this.primary());
+      }
+      throw new ParseError(`Unknown name "${token.value}"`, token.position);
+    }
+    throw new ParseError(`Unexpected ${describe(token)}`, token.position);
+  }
+}
+
+/**
+ * Parses a complex number such as `0.6`, `-0.8i`, `(1 + i)/sqrt(2)` or `exp(i pi/4)`.
+ *
+ * @param {string} text The text typed by the user.
+ * @returns {{re: number, im: number}} The value.
+ * @throws {ParseError} If the text is not a valid complex expression.
+ */
+export function parseComplex(text) {
+  const parser = new ComplexParser(tokenize(text));
+  if (parser.peek().type === 'end') {
+    throw new ParseError('Value is empty', 0);
+  }
+  const value = parser.expression();
+  const token = parser.peek();
+  if (token.type !== 'end') {
+    throw new ParseError(`Unexpected ${describe(token)}`, token.position);
+  }
+  if (!Number.isFinite(value.re) || !Number.isFinite(value.im)) {
+    throw new ParseError('Value is not a finite number', 0);
+  }
+  return value;
+}
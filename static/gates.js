@@ -0,0 +1,261 @@
+/**
+ * Registry of the single-qubit gates offered in the gate palette.
+ *
+ * The palette buttons, their tooltips and the keyboard shortcuts are all
+ * generated from the registered definitions:
+ *
+ *   {
+ *     id: 'rx',                    // unique; element ids become "rx-gate-btn", "rx-angle"
+ *     symbol: 'Rx',                // button text and circuit label
+ *     name: 'X rotation',          // tooltip heading, defaults to the symbol
+ *     description: '...',          // optional tooltip text
+ *     params: [{ name: 'angle', label: 'θ', default: '90' }],
+ *     matrix: (theta) => [[{ re, im }, { re, im }], [{ re, im }, { re, im }]],
+ *     rotation: (theta) => ({ axis, angle }),      // optional, exact Bloch rotation
+ *     qasm: (theta) => ({ name: 'rx', params: [theta] }),  // optional OpenQASM form
+ *     color: '#42a5f5',            // optional CSS colour of the button
+ *     shortcut: 'Shift+X',         // optional, a key with an optional Shift
+ *     category: 'rotation',        // palette row, see CATEGORIES
+ *     onRemove: () => {}           // optional, offered by right-clicking the button
+ *   }
+ *
+ * Parameters are angle expressions (see expression.js) and reach `matrix`,
+ * `rotation` and `qasm` in radians. Embedding pages can import this module or
+ * use the same functions through `window.BlochSim`.
+ */
+
+import * as THREE from 'three';
+import * as QMath from './math.js';
+import { parseAngle } from './expression.js';
+
+export const CATEGORIES = ['pauli', 'clifford', 'phase', 'rotation', 'general', 'custom'];
+
+const ID_RE = /^[a-z][a-z0-9_-]*$/i;
+const PARAM_NAME_RE = /^[a-z][a-z0-9_]*$/i;
+const SHORTCUT_RE = /^(shift\+)?(\S)$/i;
+const UNITARY_TOLERANCE = 1e-6;
+
+export class GateRegistryError extends Error {
+  /**
+   * @param {string} message Human readable description of the problem.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'GateRegistryError';
+  }
+}
+
+const gates = new Map();
+const listeners = new Set();
+
+function notify() {
+  listeners.forEach(listener => listener());
+}
+
+/**
+ * Normalises a shortcut such as "Shift+X" to the form returned by shortcutFromEvent.
+ */
+function normalizeShortcut(shortcut) {
+  const match = shortcut.match(SHORTCUT_RE);
+  if (match == null) throw new GateRegistryError(`shortcut "${shortcut}" must be a single key, optionally with "Shift+"`);
+  return `${match[1] != null ? 'shift+' : ''}${match[2].toLowerCase()}`;
+}
+
+/**
+ * @param {KeyboardEvent} event A keydown event.
+ * @returns {string|null} The shortcut it stands for, or null if a modifier other than Shift is held.
+ */
+export function shortcutFromEvent(event) {
+  if (event.ctrlKey || event.metaKey || event.altKey || event.key.length !== 1) return null;
+  return `${event.shiftKey ? 'shift+' : ''}${event.key.toLowerCase()}`;
+}
+
+/**
+ * Adds a gate to the registry.
+ *
+ * @param {object} definition See the module comment.
+ * @returns {object} The stored, frozen definition.
+ * @throws {GateRegistryError} If the definition is incomplete, its id or shortcut
+ *     is taken, or its matrix is not unitary for the default parameters.
+ */
+export function registerGate(definition) {
+  const { id, symbol, matrix, params = [], category = 'custom', shortcut = null } = definition ?? {};
+  if (typeof id !== 'string' || !ID_RE.test(id)) throw new GateRegistryError(`invalid gate id "${id}"`);
+  if (gates.has(id)) throw new GateRegistryError(`a gate with id "${id}" is already registered`);
+  if (typeof symbol !== 'string' || symbol.trim() === '') throw new GateRegistryError(`gate "${id}" needs a symbol`);
+  if (typeof matrix !== 'function') throw new GateRegistryError(`gate "${id}" needs a matrix function`);
+  if (typeof category !== 'string' || category === '') throw new GateRegistryError(`gate "${id}" has an invalid category`);
+  ['rotation', 'qasm', 'onRemove'].forEach(key => {
+    if (definition[key] != null && typeof definition[key] !== 'function') {
+      throw new GateRegistryError(`"${key}" of gate "${id}" must be a function`);
+    }
+  });
+
+  if (!Array.isArray(params)) throw new GateRegistryError(`params of gate "${id}" must be a list`);
+  const normalizedParams = params.map(param => {
+    if (param == null || typeof param.name !== 'string' || !PARAM_NAME_RE.test(param.name)) {
+      throw new GateRegistryError(`gate "${id}" has a parameter without a valid name`);
+    }
+    return { name: param.name, label: param.label ?? param.name, default: String(param.default ?? '0') };
+  });
+
+  const shortcutKey = shortcut == null ? null : normalizeShortcut(shortcut);
+  const clash = shortcutKey != null && listGates().find(gate => gate.shortcutKey === shortcutKey);
+  if (clash) throw new GateRegistryError(`shortcut "${shortcut}" is already used by gate "${clash.id}"`);
+
+  let defaults;
+  try {
+    defaults = normalizedParams.map(param => parseAngle(param.default));
+  } catch (e) {
+    throw new GateRegistryError(`invalid default parameter of gate "${id}": ${e.message}`);
+  }
+  const error = QMath.unitarityError(matrix(...defaults));
+  if (!(error < UNITARY_TOLERANCE)) throw new GateRegistryError(`the matrix of gate "${id}" is not unitary`);
+
+  const gate = Object.freeze({
+    ...definition,
+    id,
+    symbol,
+    name: definition.name ?? symbol,
+    description: definition.description ?? '',
+    params: Object.freeze(normalizedParams),
+    category,
+    shortcut,
+    shortcutKey
+  });
+  gates.set(id, gate);
+  notify();
+  return gate;
+}
+
+/**
+ * @param {string} id The gate id.
+ * @returns {boolean} Whether a gate was removed.
+ */
+export function unregisterGate(id) {
+  const removed = gates.delete(id);
+  if (removed) notify();
+  return removed;
+}
+
+export function getGate(id) {
+  return gates.get(id) ?? null;
+}
+
+/**
+ * @returns {object[]} All gates, in registration order.
+ */
+export function listGates() {
+  return Array.from(gates.values());
+}
+
+export function findGateByShortcut(shortcutKey) {
+  // Gates without a shortcut have a null shortcutKey too
+  if (shortcutKey == null) return null;
+  return listGates().find(gate => gate.shortcutKey === shortcutKey) ?? null;
+}
+
+/**
+ * @param {string} name An OpenQASM gate name, such as "p" or "u".
+ * @returns {object|null} The first gate whose OpenQASM form has that name.
+ */
+export function findGateByQasm(name) {
+  if (name == null) return null;
+  return listGates().find(gate => gate.qasm?.(...gate.params.map(() => 0)).name === name) ?? null;
+}
+
+/**
+ * Calls the listener after every registration or removal.
+ *
+ * @returns {function} Stops the notifications.
+ */
+export function onGatesChanged(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Builds the circuit operation of a gate.
+ *
+ * @param {object} gate A registered gate.
+ * @param {number[]} params Parameter values in radians.
+ * @param {string[]} texts The parameters as typed, used in the label.
+ * @returns {object} The operation, see applyOperation in main.js. Its `gateId`
+ *     names the registered gate, so exercises can restrict the gate set.
+ */
+export function makeOperation(gate, params = [], texts = params.map(String)) {
+  const operation = {
+    label: params.length > 0 ? `${gate.symbol}(${texts.join(', ')})` : gate.symbol,
+    gate: gate.matrix(...params),
+    gateId: gate.id
+  };
+  if (gate.rotation != null) operation.rotation = gate.rotation(...params);
+  if (gate.qasm != null) operation.qasm = gate.qasm(...params);
+  return operation;
+}
+
+// --- Built-in gates ---
+
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+function fixed(matrix, qasmName) {
+  return { matrix: () => matrix, qasm: () => ({ name: qasmName, params: [] }) };
+}
+
+function rotationGate(axisName, axis, factory, color) {
+  return {
+    id: `r${axisName}`,
+    symbol: `R${axisName}`,
+    name: `${axisName.toUpperCase()} rotation`,
+    description: `Rotates by θ about the ${axisName} axis`,
+    params: [{ name: 'angle', label: 'θ', default: '90' }],
+    matrix: factory,
+    rotation: angle => ({ axis, angle }),
+    qasm: angle => ({ name: `r${axisName}`, params: [angle] }),
+    color,
+    shortcut: `Shift+${axisName.toUpperCase()}`,
+    category: 'rotation'
+  };
+}
+
+[
+  { id: 'x', symbol: 'X', name: 'Pauli X', description: 'Bit flip, π about the x axis', ...fixed(QMath.PAULI_X, 'x'), color: '#ef5350', shortcut: 'x', category: 'pauli' },
+  { id: 'y', symbol: 'Y', name: 'Pauli Y', description: 'π about the y axis', ...fixed(QMath.PAULI_Y, 'y'), color: '#66bb6a', shortcut: 'y', category: 'pauli' },
+  { id: 'z', symbol: 'Z', name: 'Pauli Z', description: 'Phase flip, π about the z axis', ...fixed(QMath.PAULI_Z, 'z'), color: '#42a5f5', shortcut: 'z', category: 'pauli' },
+  { id: 'h', symbol: 'H', name: 'Hadamard', description: 'Swaps the x and z axes', ...fixed(QMath.HADAMARD, 'h'), color: '#ab47bc', shortcut: 'h', category: 'clifford' },
+  { id: 's', symbol: 'S', name: 'Phase S', description: 'π/2 about the z axis', ...fixed(QMath.S_GATE, 's'), color: '#ffa726', shortcut: 's', category: 'clifford' },
+  { id: 't', symbol: 'T', name: 'T gate', description: 'π/4 about the z axis', ...fixed(QMath.T_GATE, 't'), color: '#ffca28', shortcut: 't', category: 'phase' },
+  {
+    id: 'ph',
+    symbol: 'P',
+    name: 'Phase',
+    description: 'Adds the phase e^(iλ) to |1⟩, λ about the z axis',
+    params: [{ name: 'lambda', label: 'λ', default: '180' }],
+    matrix: QMath.PHASE_GATE,
+    qasm: lambda => ({ name: 'p', params: [lambda] }),
+    color: '#8d6e63',
+    shortcut: 'p',
+    category: 'phase'
+  },
+  rotationGate('x', X_AXIS, QMath.RX_GATE, '#e57373'),
+  rotationGate('y', Y_AXIS, QMath.RY_GATE, '#81c784'),
+  rotationGate('z', Z_AXIS, QMath.RZ_GATE, '#64b5f6'),
+  {
+    id: 'u3',
+    symbol: 'U3',
+    name: 'General rotation',
+    description: 'OpenQASM U(θ, φ, λ)',
+    params: [
+      { name: 'theta', label: 'θ', default: 'pi/2' },
+      { name: 'phi', label: 'φ', default: '0' },
+      { name: 'lambda', label: 'λ', default: 'pi' }
+    ],
+    matrix: QMath.U3_GATE,
+    qasm: (theta, phi, lambda) => ({ name: 'u', params: [theta, phi, lambda] }),
+    color: '#78909c',
+    shortcut: 'u',
+    category: 'general'
+  }
+].forEach(registerGate);
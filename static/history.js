@@ -0,0 +1,68 @@
+/**
+ * Undo/redo stacks for scene edits.
+ *
+ * A command is an object { label, undo(), redo() }. It is pushed after it has
+ * already been carried out, so `push` never runs it; `undo` and `redo` move it
+ * between the two stacks and call the matching function.
+ */
+
+const DEFAULT_LIMIT = 200;
+
+export class CommandHistory {
+  /**
+   * @param {number} [limit] The number of commands kept; the oldest are dropped first.
+   */
+  constructor(limit = DEFAULT_LIMIT) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Records a command that has just been carried out. A new command makes the
+   * undone ones unreachable, so the redo stack is emptied.
+   *
+   * @param {{label: string, undo: function, redo: function}} command
+   */
+  push(command) {
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * Undoes the latest command.
+   *
+   * @returns {object|null} The undone command, or null if there was nothing to undo.
+   */
+  undo() {
+    const command = this.undoStack.pop();
+    if (command == null) return null;
+    command.undo();
+    this.redoStack.push(command);
+    return command;
+  }
+
+  /**
+   * Redoes the latest undone command.
+   *
+   * @returns {object|null} The redone command, or null if there was nothing to redo.
+   */
+  redo() {
+    const command = this.redoStack.pop();
+    if (command == null) return null;
+    command.redo();
+    this.undoStack.push(command);
+    return command;
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Versioned JSON format for libraries of user-defined gates.
+ *
+ *   {
+ *     "format": "bloch-sim-gates", "version": 1,
+ *     "gates": [{ "name": "√X", "matrix": [[[re, im], [re, im]], [[re, im], [re, im]]] }]
+ *   }
+ *
+ * Matrices use the complex number layout of scene files. Every matrix must be
+ * unitary within UNITARY_TOLERANCE; it is then replaced by the nearest exactly
+ * unitary matrix, so rounding in the file does not accumulate over many gates.
+ */
+
+import { nearestUnitary, unitarityError } from './math.js';
+import { readMatrix, SceneError, writeMatrix } from './scene.js';
+
+export const LIBRARY_FORMAT = 'bloch-sim-gates';
+export const LIBRARY_VERSION = 1;
+
+// Loose enough for entries typed with four decimals, such as 0.7071
+export const UNITARY_TOLERANCE = 1e-3;
+
+const MAX_NAME_LENGTH = 24;
+
+export class LibraryError extends Error {
+  /**
+   * @param {string} message Human readable description of the problem.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'LibraryError';
+  }
+}
+
+/**
+ * Checks a gate name typed by the user.
+ *
+ * @param {string} name The name, already trimmed.
+ * @returns {string|null} What is wrong with the name, or null if it can be used.
+ */
+export function validateGateName(name) {
+  if (name === '') return 'the gate needs a name';
+  if (name.length > MAX_NAME_LENGTH) return `the name can be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+}
+
+/**
+ * Makes a typed matrix exactly unitary, or explains why it cannot be used.
+ *
+ * @param {object[][]} matrix A 2x2 complex matrix.
+ * @returns {object[][]} The nearest unitary matrix.
+ * @throws {LibraryError} If the matrix is further from unitary than UNITARY_TOLERANCE.
+ */
+export function checkUnitary(matrix) {
+  const error = unitarityError(matrix);
+  if (!(error <= UNITARY_TOLERANCE)) {
+    throw new LibraryError(`the matrix is not unitary (‖U†U − I‖ = ${error.toPrecision(3)})`);
+  }
+  return nearestUnitary(matrix);
+}
+
+/**
+ * @param {{name: string, matrix: object[][]}[]} gates
+ * @returns {object} A plain object ready for JSON.stringify.
+ */
+export function serializeLibrary(gates) {
+  return {
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_VERSION,
+    gates: gates.map(({ name, matrix }) => ({ name, matrix: writeMatrix(matrix) }))
+  };
+}
+
+/**
+ * Parses and validates a gate library file.
+ *
+ * @param {string} text The JSON text.
+ * @returns {{name: string, matrix: object[][]}[]} The gates, in file order.
+ * @throws {LibraryError} If the text is not a valid library.
+ */
+export function parseLibrary(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new LibraryError(`Not valid JSON (${e.message})`);
+  }
+
+  if (data == null || typeof data !== 'object' || data.format !== LIBRARY_FORMAT) {
+    throw new LibraryError('Not a gate library file');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new LibraryError('version: expected a positive integer');
+  }
+  if (data.version > LIBRARY_VERSION) {
+    throw new LibraryError(`The library was saved in format version ${data.version}, this page reads up to version ${LIBRARY_VERSION}`);
+  }
+  if (!Array.isArray(data.gates)) throw new LibraryError('gates: expected a list of gates');
+
+  const names = new Set();
+  return data.gates.map((gate, i) => {
+    const path = `gates[${i}]`;
+    if (gate == null || typeof gate !== 'object') throw new LibraryError(`${path}: expected { name, matrix }`);
+    const name = typeof gate.name === 'string' ? gate.name.trim() : null;
+    if (name == null) throw new LibraryError(`${path}.name: expected a string`);
+    const nameProblem = validateGateName(name);
+    if (nameProblem != null) throw new LibraryError(`${path}.name: ${nameProblem}`);
+    if (names.has(name)) throw new LibraryError(`${path}.name: duplicate gate "${name}"`);
+    names.add(name);
+
+    try {
+      return { name, matrix: checkUnitary(readMatrix(gate.matrix, `${path}.matrix`)) };
+    } catch (e) {
+      if (e instanceof SceneError) throw new LibraryError(e.message);
+      if (e instanceof LibraryError) throw new LibraryError(`${path}.matrix: ${e.message}`);
+      throw e;
+    }
+  });
+}
@@ -1,6 +1,14 @@
 ﻿import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import * as QMath from './math.js';
+import { parseAngle, parseComplex, parseGateSequence, ParseError } from './expression.js';
+import * as Bloch from './bloch.js';
+import { CommandHistory } from './history.js';
+import * as Scene from './scene.js';
+import { parseQasm, exportQasm, formatAngle, GATES as QASM_GATES } from './qasm.js';
+import * as Library from './library.js';
+import * as Gates from './gates.js';
+import * as Exercises from './exercises.js';
 
 const SPHERE_RADIUS = 1.0;
 const NUM_ARC_POINTS = 64;
@@ -9,6 +17,10 @@ const ARROW_SHAFT_RADIUS = 0.015;
 const ARROW_HEAD_LENGTH = 0.12;
 const ARROW_HEAD_RADIUS = 0.05;
 
+const GATE_ANIMATION_DURATION = 900; // ms at 1x speed
+const ARC_TRACE_OPACITY = 0.8;
+const ARC_TRACE_FADE_DURATION = 1500; // ms
+
 
 /**
  * Generates an array of THREE.Vector3 points for an arc on a sphere 
@@ -80,11 +92,12 @@ function drawVector(scene, vEnd, colorHex, options = {}) {
     const { 
         shaftRadius = ARROW_SHAFT_RADIUS, 
         headLength = ARROW_HEAD_LENGTH, 
-        headRadius = ARROW_HEAD_RADIUS 
+        headRadius = ARROW_HEAD_RADIUS,
+        opacity = 1
     } = options;
 
     const length = vEnd.length();
-    const material = new THREE.MeshBasicMaterial({ color: colorHex });
+    const material = new THREE.MeshBasicMaterial({ color: colorHex, transparent: opacity < 1, opacity });
     const arrowGroup = new THREE.Group();
 
     if (length < 1e-5) return arrowGroup;
@@ -119,6 +132,23 @@ function drawVector(scene, vEnd, colorHex, options = {}) {
 }
 
 
+/**
+ * Removes a vector drawn by drawVector from the scene and frees its GPU resources.
+ *
+ * @param {THREE.Scene} scene The scene the vector was added to.
+ * @param {THREE.Group} group The group returned by drawVector.
+ */
+function removeVector(scene, group) {
+    scene.remove(group);
+    group.traverse(object => {
+        if (object.isMesh) {
+            object.geometry.dispose();
+            object.material.dispose();
+        }
+    });
+}
+
+
 const renderer = new THREE.WebGLRenderer({ antialias: true });
 renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 renderer.setSize(window.innerWidth, window.innerHeight); 
@@ -138,6 +168,33 @@ const sphereMaterial = new THREE.MeshBasicMaterial({
 const sphereMesh = new THREE.Mesh(sphereGeometry, sphereMaterial);
 scene.add(sphereMesh);
 
+// Image of the whole Bloch sphere under the selected noise channel
+const channelEllipsoid = new THREE.Mesh(
+  sphereGeometry,
+  new THREE.MeshBasicMaterial({
+    color: 0xffa726,
+    transparent: true,
+    opacity: 0.2,
+    depthWrite: false
+  })
+);
+channelEllipsoid.matrixAutoUpdate = false;
+channelEllipsoid.visible = false;
+scene.add(channelEllipsoid);
+
+// Confidence region of the last tomography estimate
+const tomographyEllipsoid = new THREE.Mesh(
+  sphereGeometry,
+  new THREE.MeshBasicMaterial({
+    color: 0xff9800,
+    transparent: true,
+    opacity: 0.25,
+    depthWrite: false
+  })
+);
+tomographyEllipsoid.visible = false;
+scene.add(tomographyEllipsoid);
+
 
 let grid = new THREE.GridHelper(5, 10, 0x606060, 0x404040);
 grid.rotation.x = Math.PI / 2;
@@ -232,8 +289,63 @@ function onResize() {
 window.addEventListener('resize', onResize, false);
 onResize();
 
+let gateQueue = [];
+let activeAnimation = null;
+let arcTraces = [];
+let animationSpeed = 1.0;
+
+const MAX_TRAJECTORY_POINTS = 4000;
+
+// Continuous-time simulation of one qubit under the Bloch equations.
+// The magnetization is kept in the rotating frame; see bloch.js.
+let blochSim = {
+  running: false,
+  qbitId: null,
+  time: 0,
+  magnetization: null,
+  lastState: null,
+  lastFrameTime: null,
+  speed: 1.0,
+  rotatingFrame: false,
+  params: null,
+  trajectory: null,
+  trajectoryCount: 0
+};
+
+const ISOCHROMAT_ARROW_OPTS = {
+  shaftRadius: 0.006,
+  headLength: 0.05,
+  headRadius: 0.02
+};
+const ENSEMBLE_PLOT_SAMPLES = 1000;
+
+// Spin-echo ensemble: isochromats, the pulse sequence being played and the recorded signal
+let ensemble = null;
+
+// Second qubit compared with the selected one, the geodesic drawn between them and the states it was drawn for
+let comparedQbit = null;
+let comparison = { arc: null, key: null };
+
+// Last tomography run: the qubit and state it was taken from and the arrows drawn for it
+let tomography = null;
+
+// Exercise being solved: its index in the loaded set, the qubit solving it and the ghost target arrow
+let exercise = null;
+
+// θ/φ overlay of the selected qubit and the arrow position and theme it was drawn for
+let angleOverlay = { enabled: false, key: null };
+
 function animate() {
   requestAnimationFrame(animate);
+  const time = performance.now();
+  updateBlochSimulation(time);
+  updateEnsemble(time);
+  updateGateAnimation(time);
+  fadeArcTraces(time);
+  updateComparison();
+  updateTomography();
+  updateExercise();
+  updateAngleOverlay();
   controls.update();    
   renderer.setViewport(0,0, window.innerWidth, window.innerHeight);
   renderer.render(scene, camera);
@@ -241,49 +353,336 @@ function animate() {
 }
 animate();
 
+/**
+ * A single qubit on the sphere. The state is the source of truth and the Bloch
+ * vectors are derived from it: pure states keep their amplitudes [α, β], so
+ * global phase survives gate applications, mixed states are 2x2 density matrices.
+ */
 class Qbit {
   constructor(
     id,
-    initial = new THREE.Vector3(0,1,0),
-    current = new THREE.Vector3(0,1,0),
+    initialState = QMath.ket0,
     color = new THREE.Color(0xffffff),
   ) {
     this.id = id;
-    this.initial = initial.clone();
-    this.current = current.clone();
+    this.initialState = [...initialState];
+    this.state = [...initialState];
     this.color = color.clone();
     this.group = drawVector(scene, this.current, this.color);
+    // Every applied operation, in order; `step` is how many of them `state` includes
+    this.circuit = [];
+    this.step = 0;
+    // How the list entry shows the state: 'cartesian', 'angles', 'amplitudes' or 'named'
+    this.representation = 'cartesian';
+    // Positions the state has been shown at, oldest first, see visit()
+    this.visited = [];
+    // Whether the visited positions are drawn on the sphere
+    this.trail = false;
+    this.trailGroup = null;
+  }
+
+  get initial() {
+    return QMath.toBloch(this.initialState);
+  }
+
+  get current() {
+    return QMath.toBloch(this.state);
+  }
+
+  /**
+   * Returns the state after applying an operation. Amplitudes are renormalised
+   * so rounding error does not build up over long sequences.
+   */
+  stateAfter(operation) {
+    return applyOperation(operation, this.state);
+  }
+
+  /**
+   * Inserts an operation into the circuit at the current step and moves past it.
+   */
+  record(operation, state) {
+    this.circuit.splice(this.step, 0, operation);
+    this.step++;
+    this.state = state;
+  }
+
+  /**
+   * Replays the circuit from the initial state up to the given step.
+   */
+  stateAt(step) {
+    return this.circuit.slice(0, step).reduce((state, operation) => applyOperation(operation, state), this.initialState);
+  }
+
+  seek(step) {
+    this.step = step;
+    this.state = this.stateAt(step);
   }
 
   refresh() {
-    scene.remove(this.group);
+    removeVector(scene, this.group);
     this.group = drawVector(scene, this.current, this.color);
-    updateCoordinates(this.id, this.current);
+    updateCoordinates(this.id, this.current, this.state, this.representation);
+    updateStateInfo(this.id, this.state);
+    this.visit();
+  }
+
+  /**
+   * Appends the shown position to `visited` once the qubit has moved on: after
+   * every step through the circuit, and during continuous motion (simulation,
+   * dragging) every TRAIL_SAMPLE_DISTANCE. A drawn trail is extended in place.
+   */
+  visit() {
+    const vector = this.current;
+    const last = this.visited[this.visited.length - 1];
+    if (last != null && last.step === this.step && last.vector.distanceTo(vector) < TRAIL_SAMPLE_DISTANCE) return;
+
+    const label = last != null && this.step === last.step + 1 ? this.circuit[this.step - 1].label : '';
+    this.visited.push({ step: this.step, label, vector });
+    if (this.trailGroup == null) {
+      if (this.visited.length > TRAIL_MAX_POSITIONS) this.visited.shift();
+      return;
+    }
+
+    if (last != null) this.trailGroup.add(trailSegment(last.vector, vector, this.color));
+    if (this.visited.length > TRAIL_MAX_POSITIONS) {
+      this.visited.shift();
+      removeTrailSegment(this.trailGroup);
+    }
+    if (trailFading) fadeTrail(this.trailGroup);
+  }
+
+  refreshTrail() {
+    if (this.trailGroup != null) {
+      disposeChildren(this.trailGroup);
+      scene.remove(this.trailGroup);
+      this.trailGroup = null;
+    }
+    if (this.trail) {
+      this.trailGroup = drawTrail(this.visited.map(({ vector }) => vector), this.color);
+    }
   }
 
   reset() {
-    this.current.copy(this.initial);
+    this.step = 0;
+    this.state = [...this.initialState];
     }
 
   remove() {
-    scene.remove(this.group);
+    removeVector(scene, this.group);
+    this.trail = false;
+    this.refreshTrail();
   }
 }
 
 let qbits = [];
 let selectedQbit = null;
 
-function addNewQbit(id, x,y,z,hex) {
-  let newqbit = new Qbit(id, new THREE.Vector3(x,y,z), new THREE.Vector3(x,y,z), new THREE.Color(hex));
+const commandHistory = new CommandHistory();
+
+let measurementRng = QMath.createRng(Math.floor(Math.random() * 0xFFFFFFFF));
+
+function addNewQbit(id, state, hex) {
+  let newqbit = new Qbit(id, state, new THREE.Color(hex));
   newqbit.refresh();
+  updateCircuitStrip(newqbit);
   qbits.push(newqbit);
 }
+/**
+ * Recreates a qubit from a scene snapshot entry and appends it to the list.
+ */
+function restoreQbit({ id, color, initialState, state, circuit, step }) {
+  const { x, y, z } = QMath.toBloch(state);
+  document.getElementById('listContainer').appendChild(createElement(color, x, y, z, id));
+
+  const qbit = new Qbit(id, initialState, new THREE.Color(color));
+  qbit.state = state;
+  qbit.circuit = [...circuit];
+  qbit.step = step;
+  qbit.refresh();
+  updateCircuitStrip(qbit);
+  qbits.push(qbit);
+}
+
+/**
+ * Copies everything undo has to bring back, in list order. States and
+ * operations are never mutated in place, so sharing them is safe.
+ */
+function captureScene() {
+  return qbits.map(qbit => ({
+    id: qbit.id,
+    color: qbit.color.getHex(),
+    initialState: qbit.initialState,
+    state: qbit.state,
+    circuit: [...qbit.circuit],
+    step: qbit.step
+  }));
+}
+
+function restoreScene(snapshot) {
+  cancelAnimations();
+  stopBlochSimulation();
+  // The display representation and the trail are view settings, not part of the history
+  const views = new Map(qbits.map(qbit => [qbit.id, { representation: qbit.representation, trail: qbit.trail, visited: qbit.visited }]));
+  qbits.forEach(qbit => qbit.remove());
+  qbits = [];
+  Array.from(document.getElementById('listContainer').children).forEach(child => child.remove());
+
+  snapshot.forEach(restoreQbit);
+  qbits.forEach(qbit => {
+    if (!views.has(qbit.id)) return;
+    const { representation, trail, visited } = views.get(qbit.id);
+    qbit.representation = representation;
+    qbit.trail = trail;
+    qbit.visited = visited;
+    qbit.refreshTrail();
+    document.getElementById(qbit.id).querySelector('.representation-select').value = representation;
+    document.getElementById(qbit.id).querySelector('.trail-btn').classList.toggle('active', trail);
+    qbit.refresh();
+  });
+
+  const selected = selectedQbit;
+  selectedQbit = null;
+  if (getQbit(selected) != null) {
+    selectQbit(selected);
+  }
+  setComparedQbit(getQbit(comparedQbit) != null ? comparedQbit : null);
+}
+
+/**
+ * Runs a scene edit and records it in the undo history.
+ *
+ * @param {string} label The name shown on the undo/redo buttons.
+ * @param {function(): void} execute Performs the edit.
+ */
+function recordCommand(label, execute) {
+  const before = captureScene();
+  execute();
+  pushCommand(label, before);
+}
+
+/**
+ * Records an edit that has already been made, given the scene from before it.
+ */
+function pushCommand(label, before) {
+  const after = captureScene();
+  commandHistory.push({
+    label,
+    undo: () => restoreScene(before),
+    redo: () => restoreScene(after)
+  });
+  updateHistoryButtons();
+  saveSession();
+}
+
+function undo() {
+  commandHistory.undo();
+  updateHistoryButtons();
+  saveSession();
+}
+
+function redo() {
+  commandHistory.redo();
+  updateHistoryButtons();
+  saveSession();
+}
+
+const SESSION_STORAGE_KEY = 'bloch-sim-scene';
+
+function currentScene() {
+  return {
+    theme: currentTheme(),
+    camera: { position: camera.position, target: controls.target, zoom: camera.zoom },
+    qbits: captureScene()
+  };
+}
+
+/**
+ * Replaces the whole scene with a loaded one, including theme and camera.
+ */
+function applyScene({ theme, camera: view, qbits: snapshot }) {
+  setTheme(theme);
+  if (view != null) {
+    camera.position.copy(view.position);
+    controls.target.copy(view.target);
+    camera.zoom = view.zoom;
+    camera.updateProjectionMatrix();
+    controls.update();
+  }
+  restoreScene(snapshot);
+}
+
+/**
+ * Stores the scene in localStorage so the next visit starts where this one ended.
+ * Storage may be full or disabled; the session is then simply not kept.
+ */
+function saveSession() {
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(Scene.serializeScene(currentScene())));
+  } catch (e) {
+    console.warn('Could not save the session', e);
+  }
+}
+
+/**
+ * Loads the scene from the URL hash if there is one, otherwise the last session.
+ * The hash is removed afterwards so later reloads show the autosaved session.
+ */
+function restoreSession() {
+  try {
+    const shared = Scene.decodeSceneHash(window.location.hash);
+    if (shared != null) {
+      applyScene(Scene.parseScene(shared));
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+      saveSession();
+      return;
+    }
+  } catch (e) {
+    if (!(e instanceof Scene.SceneError)) throw e;
+    alert(`Could not open the shared scene: ${e.message}`);
+    return;
+  }
+
+  let stored;
+  try {
+    stored = localStorage.getItem(SESSION_STORAGE_KEY);
+  } catch (e) {
+    console.warn('Could not read the saved session', e);
+    return;
+  }
+  if (stored == null) return;
+  try {
+    applyScene(Scene.parseScene(stored));
+  } catch (e) {
+    if (!(e instanceof Scene.SceneError)) throw e;
+    console.warn('Discarding unreadable saved session', e);
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+  }
+}
+
+/**
+ * Adds a qubit with a random id and colour in the given state.
+ *
+ * @returns {number} The id of the new qubit.
+ */
+function createQbit(state) {
+  const color = Math.floor(Math.random() * 0xFFFFFF);
+  const id = getRandomIntInclusive(100000, 999999);
+  const { x, y, z } = QMath.toBloch(state);
+  recordCommand('Add qubit', () => {
+    document.getElementById('listContainer').appendChild(createElement(color, x, y, z, id));
+    addNewQbit(id, state, color);
+  });
+  return id;
+}
+
 function deleteQbit(id) {
+  cancelAnimations(id);
   const qbit = getQbit(id)
   const index = qbits.indexOf(qbit);
   qbits.splice(index, 1);
   qbit.remove();
   selectedQbit = null;
+  setComparedQbit(null);
 }
 
 
@@ -292,272 +691,3365 @@ function selectQbit(id) {
         const previousElement = document.getElementById(selectedQbit);
         previousElement.classList.remove('selectedVector');
     }
+    if (id === comparedQbit) setComparedQbit(null);
     selectedQbit = id;
     const selectedElement = document.getElementById(id);
     selectedElement.classList.add('selectedVector');
     
 }
 
-function applyGate(gate) {
-  if(selectedQbit == null)
-    return;
-
-  let sQ = getQbit(selectedQbit);
-  let current = sQ.current.clone();
-  sQ.current = QMath.applyAndConvert(current, gate);
-  sQ.refresh();
+/**
+ * Applies a circuit operation to a state. An operation is one of
+ * { label, gate, rotation? }, { label, kraus } or { label, collapse }, the
+ * last one being a recorded measurement outcome.
+ */
+function applyOperation(operation, state) {
+  if (operation.gate != null) return QMath.evolve(operation.gate, state);
+  if (operation.kraus != null) return QMath.applyChannel(operation.kraus, state);
+  return operation.collapse;
 }
 
-function reset(id) {
-  let sQ = getQbit(id);
-  sQ.current = sQ.initial.clone();
-  sQ.refresh();
+/**
+ * Whether gates have somewhere to go: the selected qubit, or the two-qubit register.
+ */
+function hasGateTarget() {
+  return register != null || selectedQbit != null;
 }
 
-function clear() {
-  qbits.forEach(qbit => qbit.remove());
-  qbits = [];
-  selectedQbit = null;
+/**
+ * Queues a gate for the selected qubit. In two-qubit mode the gate acts on the
+ * target qubit of the register instead.
+ *
+ * @param {{label: string, gate: object[][], rotation?: {axis: THREE.Vector3, angle: number}}} operation
+ *     The gate to apply. The rotation to animate defaults to the shortest one
+ *     realising the gate; rotation gates pass their nominal axis and angle so
+ *     e.g. Rx(270°) does not turn the other way.
+ */
+function applyGate(operation) {
+  if (register != null) {
+    applyRegisterGate(operation);
+    return;
+  }
+  if(selectedQbit == null)
+    return;
+  if (!allowedByExercise([operation])) return;
+
+  gateQueue.push({ id: selectedQbit, operation });
 }
 
-function getQbit(id) {
-  for (let i = 0;i<qbits.length;i++){
-    if(qbits[i].id === id) {
-      return qbits[i];
-    }
+/**
+ * Moves the qubit past a finished operation: replayed operations are already
+ * in the circuit, new ones are recorded at the current step.
+ */
+function finishOperation(qbit, entry, state) {
+  if (entry.replay) {
+    qbit.step++;
+    qbit.state = state;
+  } else {
+    recordCommand(entry.operation.label, () => qbit.record(entry.operation, state));
   }
-  return null;
+  qbit.refresh();
+  updateCircuitStrip(qbit);
 }
 
-function getRandomIntInclusive(min, max) {
-  const minCeiled = Math.ceil(min);
-  const maxFloored = Math.floor(max);
-  return Math.floor(Math.random() * (maxFloored - minCeiled + 1) + minCeiled); 
-}
+/**
+ * Starts animating a queued gate as a rotation of the qubit's arrow about the
+ * gate's own axis. The target is computed from the state at the moment the
+ * animation starts, so gates queued back to back compose correctly.
+ *
+ * @param {{id: number, operation?: object, replay?: boolean, action?: function,
+ *     changesState?: boolean}} entry
+ *     The queued operation or action.
+ * @param {number} time The current timestamp in milliseconds.
+ * @returns {object|null} The animation state, or null if nothing needs animating.
+ */
+function startGateAnimation(entry, time) {
+  const sQ = getQbit(entry.id);
+  if (sQ == null) return null;
+
+  // Measurements decide their outcome when they run and record it as an operation
+  if (entry.action != null) {
+    const operation = entry.action(sQ);
+    if (operation != null) {
+      finishOperation(sQ, { operation }, sQ.stateAfter(operation));
+    }
+    return null;
+  }
 
+  // Channels are not rotations: they take effect at once, in queue order
+  const targetState = sQ.stateAfter(entry.operation);
+  if (entry.operation.gate == null) {
+    finishOperation(sQ, entry, targetState);
+    return null;
+  }
 
-function createColorBox(color) {
-    const colorbox = document.createElement('div');
-    colorbox.className = 'color-box';
-    colorbox.style.backgroundColor = `#${color.toString(16).padStart(6, '0')}`;
-    return colorbox;
+  const start = sQ.current;
+  const { axis, angle } = entry.operation.rotation ?? QMath.unitaryToAxisAngle(entry.operation.gate);
+
+  const points = generateArcPoints(start, axis, angle, NUM_ARC_POINTS);
+  const trace = drawArc(scene, points, sQ.color);
+  trace.geometry.setDrawRange(0, 1);
+
+  return {
+    qbit: sQ,
+    entry,
+    start,
+    targetState,
+    axis,
+    angle,
+    trace,
+    startTime: time,
+    startQuaternion: sQ.group.quaternion.clone()
+  };
 }
 
-function updateCoordinates(id, { x, y, z }) {
-    const element = document.getElementById(id);
-    const coords = element.querySelector('.coordinates');
-    coords.textContent = `X: ${x.toFixed(2)}, Y: ${y.toFixed(2)}, Z: ${z.toFixed(2)}`;
-}
+/**
+ * Queues a noise channel for the selected qubit.
+ *
+ * @param {string} label The name shown in the circuit strip.
+ * @param {object[][][]} krausOperators The Kraus operators of the channel.
+ */
+function applyChannel(label, krausOperators) {
+  if(selectedQbit == null)
+    return;
+  if (!allowedByExercise([{ label, kraus: krausOperators }])) return;
 
-function createCoordinateBox(x, y, z) {
-    const coords = document.createElement('div');
-    coords.className = 'coordinates';
-    coords.textContent = `X: ${x.toFixed(2)}, Y: ${y.toFixed(2)}, Z: ${z.toFixed(2)}`;
-    return coords;
+  gateQueue.push({ id: selectedQbit, operation: { label, kraus: krausOperators } });
 }
 
-function createDeleteBtn(wrapper,id) {
-    const deleteBtn = document.createElement('div');
-    deleteBtn.className = 'delete-btn';
-    deleteBtn.innerHTML = '<i class="fa-solid fa-trash-can"></i>';
-
-    deleteBtn.addEventListener('click', (event) => {
-        event.stopPropagation();
-        wrapper.remove();
-        deleteQbit(id);
-    });
+/**
+ * Queues an instantaneous action for the selected qubit, run once all gates
+ * queued before it have finished animating.
+ *
+ * @param {function(Qbit): object|null} action Receives the qubit and returns an
+ *     operation to record, or null to leave the state alone.
+ * @param {boolean} [changesState=false] Whether the action records an operation,
+ *     which counts as a move in an exercise.
+ */
+function queueAction(action, changesState = false) {
+  if(selectedQbit == null)
+    return;
 
-    return deleteBtn;
+  gateQueue.push({ id: selectedQbit, action, changesState });
 }
 
-function createResetBtn(id) {
-    const resetBtn = document.createElement('div');
-    resetBtn.className = 'reset-btn';
-    resetBtn.innerHTML = `<i class="fa-solid fa-rotate-left"></i>`;
-
-    resetBtn.addEventListener('click', (event) => {
-        event.stopPropagation();
-        reset(id);
-    });
-
-    return resetBtn;
+function easeInOut(t) {
+  return t * t * (3 - 2 * t);
 }
 
+function updateGateAnimation(time) {
+  while (activeAnimation == null && gateQueue.length > 0) {
+    activeAnimation = startGateAnimation(gateQueue.shift(), time);
+  }
+  if (activeAnimation == null) return;
 
-function createElement(color, x, y, z, id) {
-    const wrapper = document.createElement('div');
-    wrapper.className = 'element';
-    wrapper.setAttribute('id', id);
-
-    const colorbox = createColorBox(color);
-    const coords = createCoordinateBox(x, y, z);
-    const resetBtn = createResetBtn(id);
-    const deleteBtn = createDeleteBtn(wrapper,id);
-
-
-    const actionBtns = document.createElement('div');
-    actionBtns.className = 'action-btns';
-    actionBtns.appendChild(deleteBtn);
-    actionBtns.appendChild(resetBtn);
-
-    wrapper.appendChild(colorbox);
-    wrapper.appendChild(coords);
-    wrapper.appendChild(actionBtns);
+  const anim = activeAnimation;
+  const progress = Math.min((time - anim.startTime) / (GATE_ANIMATION_DURATION / animationSpeed), 1);
+  const sweep = anim.angle * easeInOut(progress);
 
-    wrapper.addEventListener('click', () => {
-        selectQbit(id);
-    });
+  const rotation = new THREE.Quaternion().setFromAxisAngle(anim.axis, sweep);
+  anim.qbit.group.quaternion.copy(rotation).multiply(anim.startQuaternion);
+  anim.trace.geometry.setDrawRange(0, Math.ceil(easeInOut(progress) * (NUM_ARC_POINTS - 1)) + 1);
+  updateCoordinates(anim.qbit.id, anim.start.clone().applyQuaternion(rotation), null, anim.qbit.representation);
 
-    return wrapper;
+  if (progress >= 1) {
+    finishOperation(anim.qbit, anim.entry, anim.targetState);
+    arcTraces.push({ arc: anim.trace, startTime: time });
+    activeAnimation = null;
+  }
 }
 
-function normalize(x, y, z) {
-    const length = Math.sqrt(x * x + y * y + z * z);
-    if (length < 1e-8) return { x: 0, y: 0, z: 0 };
-    return { x: x / length, y: y / length, z: z / length };
+function toDisplayFrame(magnetization, t) {
+  return blochSim.rotatingFrame ? magnetization.clone() : Bloch.rotatingToLab(magnetization, t, blochSim.params);
 }
 
-function toggleLightScene() {
-    scene.background = new THREE.Color(0xF0F0F0);
-    scene.remove(grid);
-    grid = new THREE.GridHelper(5, 10, 0xB0B0B0, 0xD0D0D0);
-    grid.rotation.x = Math.PI / 2;
-    scene.add(grid);
+function fromDisplayFrame(vector, t) {
+  return blochSim.rotatingFrame ? vector.clone() : Bloch.labToRotating(vector, t, blochSim.params);
 }
 
-function toggleDarkScene() {
-    scene.background = new THREE.Color(0x303030);
-    scene.remove(grid);
-    grid = new THREE.GridHelper(5, 10, 0x606060, 0x404040);
-    grid.rotation.x = Math.PI / 2;
-    scene.add(grid);
+function clearTrajectory() {
+  if (blochSim.trajectory != null) {
+    removeArc(blochSim.trajectory);
+    blochSim.trajectory = null;
+  }
+  blochSim.trajectoryCount = 0;
 }
 
-function registerToggleBtnListener() {
-    const uiContainer = document.getElementById('ui-container');
-    const toggleBtn = document.getElementById('toggleBtn');
-
+function appendTrajectoryPoint(point, color) {
+  if (blochSim.trajectory == null) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_TRAJECTORY_POINTS * 3), 3));
+    geometry.setDrawRange(0, 0);
+    blochSim.trajectory = new THREE.Line(geometry, new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.8 }));
+    blochSim.trajectory.frustumCulled = false;
+    scene.add(blochSim.trajectory);
+  }
 
-    toggleBtn.addEventListener('click', () => {
-        uiContainer.classList.toggle('closed');
-        toggleBtn.classList.toggle('open');
-    });
+  const positions = blochSim.trajectory.geometry.attributes.position;
+  // Drop the oldest half once the buffer is full
+  if (blochSim.trajectoryCount === MAX_TRAJECTORY_POINTS) {
+    const half = MAX_TRAJECTORY_POINTS / 2;
+    positions.array.copyWithin(0, half * 3);
+    blochSim.trajectoryCount = half;
+  }
+  positions.setXYZ(blochSim.trajectoryCount++, point.x, point.y, point.z);
+  positions.needsUpdate = true;
+  blochSim.trajectory.geometry.setDrawRange(0, blochSim.trajectoryCount);
 }
 
-function registerThemeBtnListener() {
-    const themeBtn = document.getElementById('themeBtn');
+function updateBlochSimulation(time) {
+  if (!blochSim.running) return;
 
-    themeBtn.addEventListener('click', () => {
-        document.body.classList.toggle('dark');
-        document.body.classList.toggle('light');
-        if (scene.background.equals(new THREE.Color(0x303030))) {
-            toggleLightScene();
-        } else {
-            toggleDarkScene();
-        }
-    });
+  const qbit = getQbit(blochSim.qbitId);
+  if (qbit == null) {
+    stopBlochSimulation();
+    return;
+  }
 
-}
+  const elapsed = Math.min((time - blochSim.lastFrameTime) / 1000, 0.1) * blochSim.speed;
+  blochSim.lastFrameTime = time;
 
-function registerXGateBtnListener() {
-    const xbutton = document.getElementById('x-gate-btn');
-    xbutton.addEventListener('click', () => applyGate(QMath.PAULI_X));
+  // Gate animations on the simulated qubit take priority over the time evolution
+  if (activeAnimation != null && activeAnimation.qbit === qbit) return;
 
-}
+  // Gates, channels or a reset changed the qubit since the last frame: continue from there
+  if (qbit.state !== blochSim.lastState) {
+    blochSim.magnetization = fromDisplayFrame(qbit.current, blochSim.time);
+  }
 
-function registerYGateBtnListener() {
-    const ybutton = document.getElementById('y-gate-btn');
-    ybutton.addEventListener('click', () => applyGate(QMath.PAULI_Y));
-}
+  blochSim.magnetization = Bloch.integrate(blochSim.magnetization, blochSim.time, elapsed, blochSim.params);
+  blochSim.magnetization.clampLength(0, 1);
+  blochSim.time += elapsed;
 
-function registerZGateBtnListener() {
-    const zbutton = document.getElementById('z-gate-btn');
-    zbutton.addEventListener('click', () => applyGate(QMath.PAULI_Z));
+  const shown = showMagnetization(qbit);
+  appendTrajectoryPoint(shown, qbit.color);
+  document.getElementById('sim-time').textContent = `t = ${blochSim.time.toFixed(2)} s`;
 }
 
-
-function registerHGateBtnListener() {
-    const hbutton = document.getElementById('h-gate-btn');
-    hbutton.addEventListener('click', () => applyGate(QMath.HADAMARD));
+function showMagnetization(qbit) {
+  const shown = toDisplayFrame(blochSim.magnetization, blochSim.time);
+  qbit.state = QMath.blochToDensity(shown);
+  blochSim.lastState = qbit.state;
+  qbit.refresh();
+  return shown;
 }
 
-function registerSGateBtnListener() {
-    const sbutton = document.getElementById('s-gate-btn');
-    sbutton.addEventListener('click', () => applyGate(QMath.S_GATE));
+/**
+ * Switches to new parameters, re-deriving the rotating-frame magnetization from
+ * what the qubit currently shows so the arrow does not jump.
+ */
+function setBlochSimParams(qbit, params) {
+  blochSim.params = params;
+  blochSim.magnetization = fromDisplayFrame(qbit.current, blochSim.time);
+  blochSim.lastState = qbit.state;
 }
 
-function registerPHBtnListener() {
-    const phbutton = document.getElementById('ph-gate-btn');
-
-    phbutton.addEventListener('click', () => {
-        let degree = document.getElementById('phase-degrees').value;
-        applyGate(QMath.PHASE_GATE(degree / 180.0 * Math.PI));
+function startBlochSimulation() {
+  if (selectedQbit == null) {
+    alert("Select a qubit to simulate");
+    return;
+  }
+  if (lockedByExercise("The exercise qubit cannot be simulated")) return;
+  const params = readBlochSimParams();
+  if (params == null) return;
+
+  if (blochSim.qbitId !== selectedQbit) {
+    blochSim.qbitId = selectedQbit;
+    blochSim.time = 0;
+    clearTrajectory();
+  }
+  setBlochSimParams(getQbit(selectedQbit), params);
+  blochSim.running = true;
+  blochSim.lastFrameTime = performance.now();
+  document.getElementById('sim-play-btn').textContent = 'Pause';
+}
+
+function stopBlochSimulation() {
+  blochSim.running = false;
+  document.getElementById('sim-play-btn').textContent = 'Play';
+}
+
+function restartBlochSimulation() {
+  blochSim.time = 0;
+  blochSim.lastState = null;
+  clearTrajectory();
+  document.getElementById('sim-time').textContent = 't = 0.00 s';
+}
+
+/**
+ * One spin packet of the ensemble. Unlike Qbit it only carries a Bloch vector;
+ * its arrow is drawn once at unit length and then rotated and scaled in place.
+ */
+class Isochromat {
+  constructor(offset, color, options = ISOCHROMAT_ARROW_OPTS) {
+    this.offset = offset;
+    this.magnetization = new THREE.Vector3(0, 0, 1);
+    this.group = drawVector(scene, new THREE.Vector3(0, 1, 0), color, options);
+    this.refresh();
+  }
+
+  refresh() {
+    const length = this.magnetization.length();
+    this.group.visible = length > 1e-5;
+    if (!this.group.visible) return;
+    this.group.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), this.magnetization.clone().normalize());
+    this.group.scale.setScalar(length);
+  }
+
+  remove() {
+    removeVector(scene, this.group);
+  }
+}
+
+function pulseGate({ angle, axis }) {
+  switch (axis) {
+    case 'x': return QMath.RX_GATE(angle);
+    case 'y': return QMath.RY_GATE(angle);
+    case '-x': return QMath.RX_GATE(-angle);
+    case '-y': return QMath.RY_GATE(-angle);
+  }
+}
+
+function netMagnetization() {
+  const sum = new THREE.Vector3();
+  ensemble.isochromats.forEach(iso => sum.add(iso.magnetization));
+  return sum.divideScalar(ensemble.isochromats.length);
+}
+
+function recordEnsembleSample() {
+  const net = netMagnetization();
+  ensemble.samples.push({ t: ensemble.time, mx: net.x, my: net.y, mxy: Math.hypot(net.x, net.y) });
+}
+
+/**
+ * Advances the pulse sequence. Pulses act at once through the gate matrices,
+ * delays are split into plot-sized chunks of exact free precession.
+ */
+function updateEnsemble(time) {
+  if (ensemble == null || !ensemble.running) return;
+
+  let remaining = Math.min((time - ensemble.lastFrameTime) / 1000, 0.1) * ensemble.speed;
+  ensemble.lastFrameTime = time;
+
+  while (ensemble.eventIndex < ensemble.events.length) {
+    const event = ensemble.events[ensemble.eventIndex];
+
+    if (event.type === 'pulse') {
+      const gate = pulseGate(event);
+      ensemble.isochromats.forEach(iso => {
+        iso.magnetization = QMath.toBloch(QMath.evolve(gate, QMath.blochToDensity(iso.magnetization)));
+      });
+      ensemble.pulseTimes.push(ensemble.time);
+      recordEnsembleSample();
+      ensemble.eventIndex++;
+      continue;
+    }
+
+    if (!(remaining > 0)) break;
+
+    const step = Math.min(remaining, event.duration - ensemble.eventElapsed, ensemble.sampleInterval);
+    ensemble.isochromats.forEach(iso => {
+      iso.magnetization = Bloch.freePrecession(iso.magnetization, step, iso.offset, ensemble.t1, ensemble.t2);
+    });
+    ensemble.time += step;
+    ensemble.eventElapsed += step;
+    remaining -= step;
+    recordEnsembleSample();
+
+    if (ensemble.eventElapsed >= event.duration - 1e-9) {
+      ensemble.eventIndex++;
+      ensemble.eventElapsed = 0;
+    }
+  }
+
+  if (ensemble.eventIndex >= ensemble.events.length) {
+    ensemble.running = false;
+    document.getElementById('ens-pause-btn').textContent = 'Pause';
+  }
+
+  ensemble.isochromats.forEach(iso => iso.refresh());
+  ensemble.net.magnetization = netMagnetization();
+  ensemble.net.refresh();
+  document.getElementById('ens-time').textContent = `t = ${ensemble.time.toFixed(2)} s`;
+  drawEnsemblePlot();
+}
+
+function drawEnsemblePlot() {
+  const canvas = document.getElementById('ensemble-plot');
+  const ctx = canvas.getContext('2d');
+  if (ctx == null) return;
+
+  const { width, height } = canvas;
+  const color = getComputedStyle(canvas).color;
+  ctx.clearRect(0, 0, width, height);
+  if (ensemble == null) return;
+
+  const toX = t => t / ensemble.totalDuration * width;
+  const toY = m => height - 4 - (m + 1) / 2 * (height - 8);
+
+  ctx.strokeStyle = color;
+  ctx.globalAlpha = 0.3;
+  ctx.lineWidth = 1;
+  ctx.setLineDash([3, 3]);
+  ctx.beginPath();
+  ctx.moveTo(0, toY(0));
+  ctx.lineTo(width, toY(0));
+  ensemble.pulseTimes.forEach(t => {
+    ctx.moveTo(toX(t), 0);
+    ctx.lineTo(toX(t), height);
+  });
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  const series = [
+    { key: 'mx', style: '#ef5350', alpha: 0.6 },
+    { key: 'my', style: '#66bb6a', alpha: 0.6 },
+    { key: 'mxy', style: '#42a5f5', alpha: 1 }
+  ];
+  series.forEach(({ key, style, alpha }) => {
+    ctx.strokeStyle = style;
+    ctx.globalAlpha = alpha;
+    ctx.lineWidth = key === 'mxy' ? 2 : 1;
+    ctx.beginPath();
+    ensemble.samples.forEach((sample, i) => {
+      if (i === 0) ctx.moveTo(toX(sample.t), toY(sample[key]));
+      else ctx.lineTo(toX(sample.t), toY(sample[key]));
+    });
+    ctx.stroke();
+  });
+  ctx.globalAlpha = 1;
+}
+
+function removeEnsemble() {
+  if (ensemble == null) return;
+  ensemble.isochromats.forEach(iso => iso.remove());
+  ensemble.net.remove();
+  ensemble = null;
+  drawEnsemblePlot();
+  document.getElementById('ens-time').textContent = 't = 0.00 s';
+  document.getElementById('ens-pause-btn').textContent = 'Pause';
+}
+
+/**
+ * Replaces the current ensemble with a fresh one at thermal equilibrium (+z)
+ * and starts playing the pulse sequence.
+ */
+function runEnsemble(settings, events) {
+  removeEnsemble();
+
+  const offsets = Bloch.isochromatOffsets(settings.count, settings.distribution, settings.width);
+  const isochromats = offsets.map((offset, i) =>
+    new Isochromat(offset, new THREE.Color().setHSL(0.8 * i / offsets.length, 0.8, 0.55)));
+  const totalDuration = events.reduce((sum, e) => sum + (e.type === 'delay' ? e.duration : 0), 0);
+
+  ensemble = {
+    isochromats,
+    net: new Isochromat(0, new THREE.Color(0xffffff), {}),
+    events,
+    eventIndex: 0,
+    eventElapsed: 0,
+    time: 0,
+    totalDuration: Math.max(totalDuration, 1e-6),
+    sampleInterval: Math.max(totalDuration, 1e-6) / ENSEMBLE_PLOT_SAMPLES,
+    t1: settings.t1,
+    t2: settings.t2,
+    speed: settings.speed,
+    samples: [],
+    pulseTimes: [],
+    running: true,
+    lastFrameTime: performance.now()
+  };
+  recordEnsembleSample();
+}
+
+function removeArc(arc) {
+  scene.remove(arc);
+  arc.geometry.dispose();
+  arc.material.dispose();
+}
+
+function fadeArcTraces(time) {
+  arcTraces = arcTraces.filter(({ arc, startTime }) => {
+    const progress = (time - startTime) / ARC_TRACE_FADE_DURATION;
+    if (progress >= 1) {
+      removeArc(arc);
+      return false;
+    }
+    arc.material.opacity = ARC_TRACE_OPACITY * (1 - progress);
+    return true;
+  });
+}
+
+/**
+ * Drops the running and queued gate animations of a qubit, or of every qubit
+ * if no id is given. The qubit keeps the state it had before the dropped gates.
+ */
+function cancelAnimations(id = null) {
+  gateQueue = gateQueue.filter(entry => id != null && entry.id !== id);
+
+  if (activeAnimation != null && (id == null || activeAnimation.qbit.id === id)) {
+    removeArc(activeAnimation.trace);
+    activeAnimation.qbit.group.quaternion.copy(activeAnimation.startQuaternion);
+    activeAnimation = null;
+  }
+}
+
+function reset(id) {
+  cancelAnimations(id);
+  let sQ = getQbit(id);
+  recordCommand('Reset qubit', () => sQ.reset());
+  sQ.refresh();
+  updateCircuitStrip(sQ);
+}
+
+function seekCircuit(id, step) {
+  cancelAnimations(id);
+  const qbit = getQbit(id);
+  qbit.seek(step);
+  qbit.refresh();
+  updateCircuitStrip(qbit);
+}
+
+/**
+ * Edits a qubit's circuit in place and recomputes its state. A qubit that was
+ * showing the end of its circuit keeps showing the end.
+ *
+ * @param {number} id The qubit id.
+ * @param {function(object[]): void} edit Mutates the operation list.
+ */
+function editCircuit(id, edit) {
+  if (exercise?.id === id) {
+    alert("The circuit of an exercise cannot be edited, restart the exercise instead");
+    return;
+  }
+  cancelAnimations(id);
+  const qbit = getQbit(id);
+  const atEnd = qbit.step === qbit.circuit.length;
+  recordCommand('Edit circuit', () => {
+    edit(qbit.circuit);
+    qbit.seek(atEnd ? qbit.circuit.length : Math.min(qbit.step, qbit.circuit.length));
+  });
+  qbit.refresh();
+  updateCircuitStrip(qbit);
+}
+
+function replayCircuit(id) {
+  cancelAnimations(id);
+  const qbit = getQbit(id);
+  qbit.seek(0);
+  qbit.refresh();
+  updateCircuitStrip(qbit);
+  qbit.circuit.forEach(operation => gateQueue.push({ id, operation, replay: true }));
+}
+
+/**
+ * Multiplies the gates of a circuit into one matrix, or returns null if the
+ * circuit contains a channel or a measurement.
+ */
+function combinedUnitary(circuit) {
+  if (circuit.some(operation => operation.gate == null)) return null;
+  return circuit.reduce((acc, operation) => QMath.matrixMultiply(operation.gate, acc), QMath.IDENTITY);
+}
+
+function clear() {
+  cancelAnimations();
+  stopBlochSimulation();
+  clearTrajectory();
+  removeEnsemble();
+  arcTraces.forEach(({ arc }) => removeArc(arc));
+  arcTraces = [];
+  qbits.forEach(qbit => qbit.remove());
+  qbits = [];
+  selectedQbit = null;
+  setComparedQbit(null);
+}
+
+function getQbit(id) {
+  for (let i = 0;i<qbits.length;i++){
+    if(qbits[i].id === id) {
+      return qbits[i];
+    }
+  }
+  return null;
+}
+
+function getRandomIntInclusive(min, max) {
+  const minCeiled = Math.ceil(min);
+  const maxFloored = Math.floor(max);
+  return Math.floor(Math.random() * (maxFloored - minCeiled + 1) + minCeiled); 
+}
+
+
+function createColorBox(color) {
+    const colorbox = document.createElement('div');
+    colorbox.className = 'color-box';
+    colorbox.style.backgroundColor = `#${color.toString(16).padStart(6, '0')}`;
+    return colorbox;
+}
+
+const NAMED_STATES = [
+    { name: '|0⟩', state: QMath.ket0 },
+    { name: '|1⟩', state: QMath.ket1 },
+    { name: '|+⟩', state: QMath.ketPlus },
+    { name: '|−⟩', state: QMath.ketMinus },
+    { name: '|+i⟩', state: QMath.ketPlusI },
+    { name: '|−i⟩', state: QMath.ketMinusI }
+];
+
+function toDegrees(angle) {
+    return (angle / Math.PI * 180.0).toFixed(1);
+}
+
+function formatPolar(amplitude) {
+    const magnitude = Math.hypot(amplitude.re, amplitude.im);
+    if (magnitude < 1e-9) return '0';
+    const phase = Math.atan2(amplitude.im, amplitude.re);
+    return Math.abs(phase) < 1e-9 ? magnitude.toFixed(2) : `${magnitude.toFixed(2)}·e^(i${toDegrees(phase)}°)`;
+}
+
+/**
+ * Formats the headline of a list entry in the chosen representation. During
+ * gate animations only the Bloch vector is known, so `state` may be null.
+ */
+function formatRepresentation(vector, state, representation) {
+    const length = vector.length();
+    switch (representation) {
+        case 'angles': {
+            const { theta, phi } = toSpherical(vector);
+            const angles = `θ = ${toDegrees(theta)}°, φ = ${toDegrees(phi)}°`;
+            return length < 1 - 1e-6 ? `${angles}, r = ${length.toFixed(2)}` : angles;
+        }
+        case 'amplitudes': {
+            const ket = state != null && !QMath.isDensityMatrix(state) ? state
+                : length > 1 - 1e-6 ? QMath.blochToState(vector) : null;
+            if (ket == null) return 'Mixed state, no amplitudes';
+            return `α = ${formatPolar(ket[0])}, β = ${formatPolar(ket[1])}`;
+        }
+        case 'named': {
+            // Fidelity with a pure state n is (1 + r·n) / 2
+            const fidelities = NAMED_STATES.map(({ name, state: ket }) => ({
+                name,
+                fidelity: (1 + vector.dot(QMath.toBloch(ket))) / 2
+            }));
+            const nearest = fidelities.reduce((best, f) => f.fidelity > best.fidelity ? f : best);
+            return nearest.fidelity > 1 - 1e-6
+                ? nearest.name
+                : `≈ ${nearest.name}, F = ${nearest.fidelity.toFixed(2)}`;
+        }
+        default:
+            return `X: ${vector.x.toFixed(2)}, Y: ${vector.y.toFixed(2)}, Z: ${vector.z.toFixed(2)}`;
+    }
+}
+
+function updateCoordinates(id, vector, state = null, representation = 'cartesian') {
+    const element = document.getElementById(id);
+    const coords = element.querySelector('.bloch-coords');
+    coords.textContent = formatRepresentation(vector, state, representation);
+}
+
+function updateStateInfo(id, state) {
+    const element = document.getElementById(id);
+    const [p0, p1] = QMath.probabilities(state);
+    const probabilities = `P(0) = ${p0.toFixed(2)}, P(1) = ${p1.toFixed(2)}`;
+
+    if (QMath.isDensityMatrix(state)) {
+        const kind = QMath.purity(state) < 1 - 1e-9 ? 'Mixed' : 'Pure';
+        element.querySelector('.amplitudes').textContent =
+            `ρ₀₀ = ${state[0][0].re.toFixed(2)}, ρ₀₁ = ${QMath.toStr(state[0][1], 2)}`;
+        element.querySelector('.probabilities').textContent = `${kind}, ${probabilities}`;
+    } else {
+        const [alpha, beta] = state;
+        const phase = QMath.globalPhase(state) / Math.PI * 180.0;
+        element.querySelector('.amplitudes').textContent =
+            `α = ${QMath.toStr(alpha, 2)}, β = ${QMath.toStr(beta, 2)}`;
+        element.querySelector('.probabilities').textContent = `γ = ${phase.toFixed(1)}°, ${probabilities}`;
+    }
+
+    element.querySelector('.mixedness').textContent =
+        `Purity = ${QMath.purity(state).toFixed(2)}, S = ${QMath.vonNeumannEntropy(state).toFixed(2)} bit`;
+}
+
+function createRepresentationSelect(id) {
+    const select = document.createElement('select');
+    select.className = 'representation-select';
+    select.title = 'How to show the state';
+    [['cartesian', 'x, y, z'], ['angles', 'θ, φ'], ['amplitudes', 'α, β'], ['named', 'Named']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    });
+
+    select.addEventListener('click', (event) => event.stopPropagation());
+    select.addEventListener('change', () => {
+        const qbit = getQbit(id);
+        qbit.representation = select.value;
+        qbit.refresh();
+    });
+    return select;
+}
+
+function createCoordinateBox(x, y, z, id) {
+    const coords = document.createElement('div');
+    coords.className = 'coordinates';
+
+    const blochCoords = document.createElement('div');
+    blochCoords.className = 'bloch-coords';
+    blochCoords.textContent = `X: ${x.toFixed(2)}, Y: ${y.toFixed(2)}, Z: ${z.toFixed(2)}`;
+
+    const amplitudes = document.createElement('div');
+    amplitudes.className = 'amplitudes';
+
+    const probabilities = document.createElement('div');
+    probabilities.className = 'probabilities';
+
+    const mixedness = document.createElement('div');
+    mixedness.className = 'mixedness';
+
+    coords.appendChild(createRepresentationSelect(id));
+    coords.appendChild(blochCoords);
+    coords.appendChild(amplitudes);
+    coords.appendChild(probabilities);
+    coords.appendChild(mixedness);
+    return coords;
+}
+
+function createDeleteBtn(wrapper,id) {
+    const deleteBtn = document.createElement('div');
+    deleteBtn.className = 'delete-btn';
+    deleteBtn.innerHTML = '<i class="fa-solid fa-trash-can"></i>';
+
+    deleteBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        recordCommand('Delete qubit', () => {
+            wrapper.remove();
+            deleteQbit(id);
+        });
+    });
+
+    return deleteBtn;
+}
+
+function createResetBtn(id) {
+    const resetBtn = document.createElement('div');
+    resetBtn.className = 'reset-btn';
+    resetBtn.innerHTML = `<i class="fa-solid fa-rotate-left"></i>`;
+
+    resetBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        reset(id);
+    });
+
+    return resetBtn;
+}
+
+
+const GATE_BUTTON_DRAG_TYPE = 'application/x-bloch-gate-button';
+// Carries {qbitId, index} as JSON, so a chip can only be moved within its own circuit
+const CIRCUIT_DRAG_TYPE = 'application/x-bloch-circuit-gate';
+
+function createCircuitStrip(id) {
+    const strip = document.createElement('div');
+    strip.className = 'circuit-strip';
+
+    const gates = document.createElement('div');
+    gates.className = 'circuit-gates';
+
+    const replayBtn = document.createElement('div');
+    replayBtn.className = 'circuit-replay-btn';
+    replayBtn.title = 'Replay from the initial state';
+    replayBtn.innerHTML = '<i class="fa-solid fa-play"></i>';
+    replayBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        replayCircuit(id);
+    });
+
+    const unitary = document.createElement('div');
+    unitary.className = 'circuit-unitary';
+
+    strip.appendChild(replayBtn);
+    strip.appendChild(gates);
+    strip.appendChild(unitary);
+
+    strip.addEventListener('dragover', (event) => {
+        const types = event.dataTransfer.types;
+        if (types.includes(GATE_BUTTON_DRAG_TYPE) || types.includes(CIRCUIT_DRAG_TYPE)) {
+            event.preventDefault();
+        }
+    });
+
+    strip.addEventListener('drop', (event) => {
+        event.preventDefault();
+        const qbit = getQbit(id);
+        const target = event.target.closest('.circuit-gate');
+        const index = target != null ? Number(target.dataset.index) : qbit.circuit.length;
+
+        const buttonId = event.dataTransfer.getData(GATE_BUTTON_DRAG_TYPE);
+        if (buttonId !== '') {
+            const operation = gateButtonOperations.get(buttonId)?.();
+            if (operation == null) return;
+            editCircuit(id, circuit => circuit.splice(index, 0, operation));
+            return;
+        }
+
+        let source;
+        try {
+            source = JSON.parse(event.dataTransfer.getData(CIRCUIT_DRAG_TYPE));
+        } catch (e) {
+            return;
+        }
+        const from = source?.index;
+        if (source?.qbitId !== id || !Number.isInteger(from) || from < 0 || from >= qbit.circuit.length) return;
+        editCircuit(id, circuit => {
+            const [operation] = circuit.splice(from, 1);
+            circuit.splice(from < index ? index - 1 : index, 0, operation);
+        });
+    });
+
+    return strip;
+}
+
+function createCircuitChip(label, step, currentStep) {
+    const chip = document.createElement('div');
+    chip.className = 'circuit-gate';
+    chip.textContent = label;
+    if (step === currentStep) chip.classList.add('current');
+    if (step > currentStep) chip.classList.add('future');
+    return chip;
+}
+
+function updateCircuitStrip(qbit) {
+    const strip = document.getElementById(qbit.id).querySelector('.circuit-strip');
+    const gates = strip.querySelector('.circuit-gates');
+    gates.innerHTML = '';
+
+    const start = createCircuitChip('|ψ₀⟩', 0, qbit.step);
+    start.classList.replace('circuit-gate', 'circuit-start');
+    start.addEventListener('click', () => seekCircuit(qbit.id, 0));
+    gates.appendChild(start);
+
+    qbit.circuit.forEach((operation, i) => {
+        const chip = createCircuitChip(operation.label, i + 1, qbit.step);
+        chip.dataset.index = i;
+        chip.draggable = true;
+        chip.title = 'Click to show the state after this step, drag to reorder';
+        chip.addEventListener('click', () => seekCircuit(qbit.id, i + 1));
+        chip.addEventListener('dragstart', (event) => {
+            event.dataTransfer.setData(CIRCUIT_DRAG_TYPE, JSON.stringify({ qbitId: qbit.id, index: i }));
+        });
+
+        const deleteBtn = document.createElement('span');
+        deleteBtn.className = 'circuit-gate-delete';
+        deleteBtn.textContent = '×';
+        deleteBtn.addEventListener('click', (event) => {
+            event.stopPropagation();
+            editCircuit(qbit.id, circuit => circuit.splice(i, 1));
+        });
+        chip.appendChild(deleteBtn);
+
+        gates.appendChild(chip);
+    });
+
+    const unitary = combinedUnitary(qbit.circuit);
+    strip.querySelector('.circuit-unitary').textContent = unitary == null
+        ? 'U: not unitary (contains a channel or measurement)'
+        : `U = ${formatMatrix(unitary)}`;
+}
+
+function formatMatrix(matrix) {
+    return `[${matrix.map(row => `[${row.map(v => QMath.toStr(v, 2)).join(', ')}]`).join(', ')}]`;
+}
+
+function createTrailBtn(id) {
+    const trailBtn = document.createElement('div');
+    trailBtn.className = 'trail-btn';
+    trailBtn.title = 'Show the path of the state on the sphere';
+    trailBtn.innerHTML = `<i class="fa-solid fa-route"></i>`;
+
+    trailBtn.addEventListener('click', (event) => {
+        event.stopPropagation();
+        const qbit = getQbit(id);
+        qbit.trail = !qbit.trail;
+        trailBtn.classList.toggle('active', qbit.trail);
+        qbit.refreshTrail();
+    });
+
+    return trailBtn;
+}
+
+function createElement(color, x, y, z, id) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'element';
+    wrapper.setAttribute('id', id);
+
+    const colorbox = createColorBox(color);
+    const coords = createCoordinateBox(x, y, z, id);
+    const resetBtn = createResetBtn(id);
+    const deleteBtn = createDeleteBtn(wrapper,id);
+
+
+    const actionBtns = document.createElement('div');
+    actionBtns.className = 'action-btns';
+    actionBtns.appendChild(deleteBtn);
+    actionBtns.appendChild(resetBtn);
+    actionBtns.appendChild(createTrailBtn(id));
+
+    wrapper.appendChild(colorbox);
+    wrapper.appendChild(coords);
+    wrapper.appendChild(actionBtns);
+    wrapper.appendChild(createCircuitStrip(id));
+
+    // Shift/Ctrl-click picks a second qubit to compare with the selected one
+    wrapper.addEventListener('click', (event) => {
+        if ((event.shiftKey || event.ctrlKey || event.metaKey) && selectedQbit != null && selectedQbit !== id) {
+            setComparedQbit(comparedQbit === id ? null : id);
+            return;
+        }
+        setComparedQbit(null);
+        selectQbit(id);
+    });
+
+    return wrapper;
+}
+
+function normalize(x, y, z) {
+    const length = Math.sqrt(x * x + y * y + z * z);
+    if (length < 1e-8) return { x: 0, y: 0, z: 0 };
+    return { x: x / length, y: y / length, z: z / length };
+}
+
+function toggleLightScene() {
+    scene.background = new THREE.Color(0xF0F0F0);
+    scene.remove(grid);
+    grid = new THREE.GridHelper(5, 10, 0xB0B0B0, 0xD0D0D0);
+    grid.rotation.x = Math.PI / 2;
+    scene.add(grid);
+    drawSceneLabels('light');
+}
+
+function toggleDarkScene() {
+    scene.background = new THREE.Color(0x303030);
+    scene.remove(grid);
+    grid = new THREE.GridHelper(5, 10, 0x606060, 0x404040);
+    grid.rotation.x = Math.PI / 2;
+    scene.add(grid);
+    drawSceneLabels('dark');
+}
+
+function registerToggleBtnListener() {
+    const uiContainer = document.getElementById('ui-container');
+    const toggleBtn = document.getElementById('toggleBtn');
+
+
+    toggleBtn.addEventListener('click', () => {
+        uiContainer.classList.toggle('closed');
+        toggleBtn.classList.toggle('open');
+    });
+}
+
+function toggleTheme() {
+    document.body.classList.toggle('dark');
+    document.body.classList.toggle('light');
+    if (scene.background.equals(new THREE.Color(0x303030))) {
+        toggleLightScene();
+    } else {
+        toggleDarkScene();
+    }
+}
+
+function currentTheme() {
+    return document.body.classList.contains('light') ? 'light' : 'dark';
+}
+
+function setTheme(theme) {
+    if (theme !== currentTheme()) {
+        toggleTheme();
+    }
+}
+
+function registerThemeBtnListener() {
+    const themeBtn = document.getElementById('themeBtn');
+
+    themeBtn.addEventListener('click', () => {
+        toggleTheme();
+        saveSession();
+    });
+
+}
+
+// Operation factories of the gate buttons, also used when a button is dropped on a circuit strip
+const gateButtonOperations = new Map();
+
+/**
+ * Wires a gate button: clicking applies the gate to the selected qubit,
+ * dragging it onto a circuit strip inserts it there and hovering previews it.
+ *
+ * @param {HTMLElement} button The gate button.
+ * @param {function(boolean=): object|null} makeOperation Builds the operation, or returns
+ *     null on invalid input. Invalid input is reported unless the argument (quiet) is true.
+ */
+function registerGateButton(button, makeOperation) {
+    gateButtonOperations.set(button.id, makeOperation);
+    button.draggable = true;
+    button.addEventListener('dragstart', (event) => {
+        hideGatePreview();
+        event.dataTransfer.setData(GATE_BUTTON_DRAG_TYPE, button.id);
+    });
+    button.addEventListener('click', () => {
+        hideGatePreview();
+        if (!hasGateTarget()) return;
+        const operation = makeOperation();
+        if (operation != null) applyGate(operation);
+    });
+    button.addEventListener('mouseenter', () => showGatePreview(makeOperation(true), button));
+    button.addEventListener('focus', () => showGatePreview(makeOperation(true), button));
+    button.addEventListener('mouseleave', hideGatePreview);
+    button.addEventListener('blur', hideGatePreview);
+}
+
+/**
+ * Reads an angle input, alerting the user if the expression is invalid.
+ *
+ * @param {string} inputId The id of the text input.
+ * @param {boolean} [quiet] Return null on error without telling the user.
+ * @returns {number|null} The angle in radians, or null on error.
+ */
+function readAngleInput(inputId, quiet = false) {
+    const input = document.getElementById(inputId);
+    try {
+        return parseAngle(input.value);
+    } catch (e) {
+        if (quiet) return null;
+        alert(`Invalid angle "${input.value}": ${e.message}`);
+        input.focus();
+        return null;
+    }
+}
+
+// --- Gate palette ---
+
+/**
+ * Reads the parameter inputs of a palette gate and builds its operation.
+ *
+ * @param {object} gate A registered gate.
+ * @param {boolean} [quiet] Return null on invalid input without telling the user.
+ * @returns {object|null} The operation, or null on invalid input.
+ */
+function readGateOperation(gate, quiet = false) {
+    const params = [];
+    for (const param of gate.params) {
+        const value = readAngleInput(`${gate.id}-${param.name}`, quiet);
+        if (value == null) return null;
+        params.push(value);
+    }
+    const texts = gate.params.map(param => document.getElementById(`${gate.id}-${param.name}`).value.trim());
+    return Gates.makeOperation(gate, params, texts);
+}
+
+function gateTooltip(gate) {
+    const lines = [gate.description !== '' ? `${gate.name}: ${gate.description}` : gate.name];
+    if (gate.params.length === 0) lines.push(`U = ${formatMatrix(gate.matrix())}`);
+    if (gate.shortcut != null) lines.push(`Shortcut: ${gate.shortcut}`);
+    if (gate.onRemove != null) lines.push('Right-click to remove');
+    return lines.join('\n');
+}
+
+/**
+ * Creates the palette button of a gate. Gates with parameters get a text
+ * input for each, like the Rx and U3 buttons.
+ */
+function createGateButton(gate) {
+    const button = document.createElement(gate.params.length > 0 ? 'div' : 'button');
+    button.className = gate.params.length > 0 ? 'fancy-btn ph-container angle-gate' : 'fancy-btn';
+    button.id = `${gate.id}-gate-btn`;
+    button.dataset.gate = gate.id;
+    button.title = gateTooltip(gate);
+    if (gate.color != null) button.style.setProperty('--gate-color', gate.color);
+
+    if (gate.params.length > 0) {
+        const symbol = document.createElement('span');
+        symbol.textContent = gate.symbol;
+        button.appendChild(symbol);
+        gate.params.forEach(param => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'angle-input';
+            input.id = `${gate.id}-${param.name}`;
+            input.value = param.default;
+            input.title = `${param.label} (degrees, or radians with pi)`;
+            input.addEventListener('click', (e) => e.stopPropagation());
+            button.appendChild(input);
+        });
+    } else {
+        button.textContent = gate.symbol;
+    }
+
+    registerGateButton(button, (quiet) => readGateOperation(gate, quiet));
+    if (gate.onRemove != null) {
+        button.addEventListener('contextmenu', (event) => {
+            event.preventDefault();
+            hideGatePreview();
+            gate.onRemove();
+        });
+    }
+    return button;
+}
+
+/**
+ * Rebuilds the gate palette from the registry, one row per category. Typed
+ * parameters survive the rebuild.
+ */
+function renderGatePalette() {
+    const palette = document.getElementById('gate-palette');
+    const typed = new Map(Array.from(palette.querySelectorAll('input')).map(input => [input.id, input.value]));
+    palette.querySelectorAll('[data-gate]').forEach(button => gateButtonOperations.delete(button.id));
+    palette.replaceChildren();
+    hideGatePreview();
+
+    const gates = Gates.listGates();
+    const categories = [...Gates.CATEGORIES, ...gates.map(gate => gate.category)]
+        .filter((category, index, all) => all.indexOf(category) === index);
+    categories.forEach(category => {
+        const members = gates.filter(gate => gate.category === category);
+        if (members.length === 0) return;
+        const row = document.createElement('div');
+        row.className = 'gate-buttons';
+        row.dataset.category = category;
+        members.forEach(gate => row.appendChild(createGateButton(gate)));
+        palette.appendChild(row);
+    });
+
+    typed.forEach((value, inputId) => {
+        const input = document.getElementById(inputId);
+        if (input != null) input.value = value;
+    });
+}
+
+function registerGatePaletteListeners() {
+    renderGatePalette();
+    Gates.onGatesChanged(renderGatePalette);
+
+    document.addEventListener('keydown', (event) => {
+        if (event.target.closest?.('input, textarea, select') != null) return;
+        const gate = Gates.findGateByShortcut(Gates.shortcutFromEvent(event));
+        if (gate == null || !hasGateTarget()) return;
+        event.preventDefault();
+        const operation = readGateOperation(gate);
+        if (operation != null) applyGate(operation);
+    });
+
+    // Public API for pages that embed the simulator
+    window.BlochSim = Object.freeze({
+        registerGate: Gates.registerGate,
+        unregisterGate: Gates.unregisterGate,
+        getGate: Gates.getGate,
+        listGates: Gates.listGates,
+        C: QMath.C
+    });
+}
+
+// Gate sequences use the OpenQASM gate names, case-insensitively, plus these
+const SEQUENCE_ALIASES = { i: 'id', ph: 'p' };
+
+function sequenceGate(name) {
+    const key = SEQUENCE_ALIASES[name.toLowerCase()] ?? name.toLowerCase();
+    return Object.hasOwn(QASM_GATES, key) ? QASM_GATES[key] : undefined;
+}
+
+/**
+ * Parses the gate sequence input into circuit operations.
+ *
+ * @throws {ParseError} If the text is not a valid sequence.
+ */
+function parseSequence(text) {
+    return parseGateSequence(text, name => sequenceGate(name)?.params)
+        .map(({ name, params, texts }) => sequenceGate(name).make(params, texts));
+}
+
+/**
+ * Shows the combined matrix of the sequence, or the parse error with a caret
+ * under the offending token.
+ *
+ * @returns {object[]|null} The parsed operations, or null on error.
+ */
+function previewSequence() {
+    const text = document.getElementById('sequence-input').value;
+    const result = document.getElementById('sequence-result');
+    result.classList.remove('error');
+
+    if (text.trim() === '') {
+        result.textContent = '';
+        return null;
+    }
+
+    try {
+        const operations = parseSequence(text);
+        result.textContent = `${operations.length} gate(s), U = ${formatMatrix(combinedUnitary(operations))}`;
+        return operations;
+    } catch (e) {
+        if (!(e instanceof ParseError)) throw e;
+        result.classList.add('error');
+        result.textContent = `${e.message}\n${text}\n${' '.repeat(e.position)}^`;
+        return null;
+    }
+}
+
+function registerSequenceListeners() {
+    const input = document.getElementById('sequence-input');
+
+    const apply = () => {
+        const operations = previewSequence();
+        if (operations == null || !hasGateTarget() || !allowedByExercise(operations)) return;
+        operations.forEach(operation => applyGate(operation));
+    };
+
+    input.addEventListener('input', previewSequence);
+    input.addEventListener('click', (e) => e.stopPropagation());
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') apply();
+    });
+    document.getElementById('sequence-apply-btn').addEventListener('click', apply);
+}
+
+// --- Custom gates ---
+
+const GATE_LIBRARY_STORAGE_KEY = 'bloch-sim-gates';
+const MATRIX_ENTRY_IDS = [['custom-u00', 'custom-u01'], ['custom-u10', 'custom-u11']];
+
+const LIBRARY_GATE_PREFIX = 'library-';
+
+// Saved gates, { name, matrix }, registered as the 'custom' row of the palette
+let customGates = [];
+
+/**
+ * Parses the four entries of the matrix editor.
+ *
+ * @returns {object[][]} The matrix as typed, not yet checked for unitarity.
+ * @throws {ParseError} If an entry is not a complex number; the message names the entry.
+ */
+function readMatrixEditor() {
+    return MATRIX_ENTRY_IDS.map((row, r) => row.map((inputId, c) => {
+        try {
+            return parseComplex(document.getElementById(inputId).value);
+        } catch (e) {
+            if (!(e instanceof ParseError)) throw e;
+            throw new ParseError(`U${r}${c}: ${e.message}`, e.position);
+        }
+    }));
+}
+
+/**
+ * Shows whether the typed matrix is unitary.
+ *
+ * @returns {object[][]|null} The typed matrix, or null if an entry does not parse.
+ */
+function checkMatrixEditor() {
+    const check = document.getElementById('custom-gate-check');
+    let matrix;
+    try {
+        matrix = readMatrixEditor();
+    } catch (e) {
+        if (!(e instanceof ParseError)) throw e;
+        check.className = 'sequence-result error';
+        check.textContent = e.message;
+        return null;
+    }
+
+    const error = QMath.unitarityError(matrix);
+    const unitary = error <= Library.UNITARY_TOLERANCE;
+    check.className = unitary ? 'sequence-result' : 'sequence-result error';
+    check.textContent = unitary
+        ? `Unitary (‖U†U − I‖ = ${error.toExponential(1)})`
+        : `Not unitary: ‖U†U − I‖ = ${error.toPrecision(3)}. Use "Make unitary" to correct it.`;
+    return matrix;
+}
+
+function writeMatrixEditor(matrix) {
+    MATRIX_ENTRY_IDS.forEach((row, r) => row.forEach((inputId, c) => {
+        const { re, im } = matrix[r][c];
+        const real = Number(re.toPrecision(6));
+        const imaginary = Number(im.toPrecision(6));
+        document.getElementById(inputId).value = imaginary === 0 ? `${real}`
+            : real === 0 ? `${imaginary}i`
+            : `${real} ${imaginary < 0 ? '-' : '+'} ${Math.abs(imaginary)}i`;
+    }));
+    checkMatrixEditor();
+}
+
+function saveGateLibrary() {
+    try {
+        localStorage.setItem(GATE_LIBRARY_STORAGE_KEY, JSON.stringify(Library.serializeLibrary(customGates)));
+    } catch (e) {
+        console.warn('Could not save the gate library', e);
+    }
+}
+
+function restoreGateLibrary() {
+    let stored;
+    try {
+        stored = localStorage.getItem(GATE_LIBRARY_STORAGE_KEY);
+    } catch (e) {
+        console.warn('Could not read the gate library', e);
+        return;
+    }
+    if (stored == null) return;
+    try {
+        customGates = Library.parseLibrary(stored);
+    } catch (e) {
+        if (!(e instanceof Library.LibraryError)) throw e;
+        console.warn('Discarding unreadable gate library', e);
+        localStorage.removeItem(GATE_LIBRARY_STORAGE_KEY);
+    }
+    registerLibraryGates();
+}
+
+/**
+ * Puts the saved gates into the gate registry, replacing the previous ones.
+ * Right-clicking a gate removes it from the library.
+ */
+function registerLibraryGates() {
+    Gates.listGates()
+        .filter(gate => gate.id.startsWith(LIBRARY_GATE_PREFIX))
+        .forEach(gate => Gates.unregisterGate(gate.id));
+
+    customGates.forEach(({ name, matrix }, index) => {
+        Gates.registerGate({
+            id: `${LIBRARY_GATE_PREFIX}${index}`,
+            symbol: name,
+            description: 'Saved in the gate library',
+            matrix: () => matrix,
+            category: 'custom',
+            onRemove: () => {
+                if (!confirm(`Remove the gate "${name}" from the library?`)) return;
+                customGates = customGates.filter(gate => gate.name !== name);
+                saveGateLibrary();
+                registerLibraryGates();
+            }
+        });
+    });
+}
+
+/**
+ * Adds gates to the library; a gate with the same name as a saved one replaces it.
+ */
+function addCustomGates(gates) {
+    gates.forEach(gate => {
+        const index = customGates.findIndex(({ name }) => name === gate.name);
+        if (index >= 0) {
+            customGates[index] = gate;
+        } else {
+            customGates.push(gate);
+        }
+    });
+    saveGateLibrary();
+    registerLibraryGates();
+}
+
+function registerCustomGateListeners() {
+    const fileInput = document.getElementById('gate-library-file-input');
+
+    MATRIX_ENTRY_IDS.flat().forEach(inputId => {
+        document.getElementById(inputId).addEventListener('input', checkMatrixEditor);
+    });
+
+    document.getElementById('custom-gate-fix-btn').addEventListener('click', () => {
+        const matrix = checkMatrixEditor();
+        if (matrix == null) return;
+        try {
+            writeMatrixEditor(QMath.nearestUnitary(matrix));
+        } catch (e) {
+            alert("A singular matrix cannot be made unitary");
+        }
+    });
+
+    document.getElementById('custom-gate-save-btn').addEventListener('click', () => {
+        const nameInput = document.getElementById('custom-gate-name');
+        const name = nameInput.value.trim();
+        const nameProblem = Library.validateGateName(name);
+        if (nameProblem != null) {
+            alert(`Cannot save the gate: ${nameProblem}`);
+            nameInput.focus();
+            return;
+        }
+
+        const matrix = checkMatrixEditor();
+        if (matrix == null) return;
+        try {
+            addCustomGates([{ name, matrix: Library.checkUnitary(matrix) }]);
+        } catch (e) {
+            if (!(e instanceof Library.LibraryError)) throw e;
+            alert(`Cannot save the gate: ${e.message}`);
+        }
+    });
+
+    document.getElementById('gate-library-export-btn').addEventListener('click', () => {
+        if (customGates.length === 0) {
+            alert("The gate library is empty");
+            return;
+        }
+        const json = JSON.stringify(Library.serializeLibrary(customGates), null, 2);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = 'bloch-gates.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    document.getElementById('gate-library-import-btn').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file == null) return;
+        try {
+            addCustomGates(Library.parseLibrary(await file.text()));
+        } catch (e) {
+            if (!(e instanceof Library.LibraryError)) throw e;
+            alert(`Could not load the gate library: ${e.message}`);
+        }
+    });
+
+    // Another tab saved the library
+    window.addEventListener('storage', (event) => {
+        if (event.key === GATE_LIBRARY_STORAGE_KEY) {
+            customGates = [];
+            restoreGateLibrary();
+        }
+    });
+
+    checkMatrixEditor();
+    restoreGateLibrary();
+}
+
+function registerAngleInputListeners() {
+    document.querySelectorAll('.angle-input').forEach(input => {
+        input.addEventListener('click', (e) => {
+            e.stopPropagation();
+        });
+    });
+}
+
+const NOISE_CHANNELS = {
+    'amplitude-damping': { label: 'AD', factory: QMath.AMPLITUDE_DAMPING },
+    'phase-damping': { label: 'PD', factory: QMath.PHASE_DAMPING },
+    'depolarizing': { label: 'Dep', factory: QMath.DEPOLARIZING },
+    'bit-flip': { label: 'BF', factory: QMath.BIT_FLIP },
+    'phase-flip': { label: 'PF', factory: QMath.PHASE_FLIP }
+};
+
+/**
+ * Builds the channel chosen in the side panel.
+ *
+ * @param {boolean} [silent] Skip the alert on invalid strength.
+ * @returns {{label: string, kraus: object[][][]}|null} The channel, or null if the strength is invalid.
+ */
+function readSelectedChannel(silent = false) {
+    const channel = NOISE_CHANNELS[document.getElementById('channel-select').value];
+    const strength = parseFloat(document.getElementById('channel-strength').value);
+
+    if (isNaN(strength) || strength < 0 || strength > 1) {
+        if (!silent) alert("Channel strength must be between 0 and 1");
+        return null;
+    }
+    return { label: `${channel.label}(${strength})`, kraus: channel.factory(strength) };
+}
+
+function updateChannelEllipsoid() {
+    const show = document.getElementById('channel-ellipsoid').checked;
+    const channel = show ? readSelectedChannel(true) : null;
+    channelEllipsoid.visible = channel != null;
+    if (channel == null) return;
+
+    const { matrix: [m0, m1, m2], center } = QMath.channelBlochMap(channel.kraus);
+    channelEllipsoid.matrix.set(
+        m0[0], m0[1], m0[2], center.x,
+        m1[0], m1[1], m1[2], center.y,
+        m2[0], m2[1], m2[2], center.z,
+        0, 0, 0, 1
+    );
+}
+
+function registerChannelListeners() {
+    const applyBtn = document.getElementById('channel-apply-btn');
+    applyBtn.addEventListener('click', () => {
+        const channel = readSelectedChannel();
+        if (channel == null) return;
+        applyChannel(channel.label, channel.kraus);
+    });
+
+    ['channel-select', 'channel-strength', 'channel-ellipsoid'].forEach(id => {
+        document.getElementById(id).addEventListener('input', updateChannelEllipsoid);
+    });
+}
+
+/**
+ * Reads the Bloch equation parameters from the side panel.
+ *
+ * @returns {object|null} The parameters for bloch.js, or null if they are invalid.
+ */
+function readBlochSimParams() {
+    const read = id => parseFloat(document.getElementById(id).value);
+    const params = {
+        larmor: read('sim-f0'),
+        drive: read('sim-f1'),
+        detuning: read('sim-detuning'),
+        driveLength: read('sim-drive-length'),
+        t1: read('sim-t1'),
+        t2: read('sim-t2')
+    };
+
+    if (Object.values(params).some(isNaN)) {
+        alert("You must enter numbers");
+        return null;
+    }
+    if (params.t1 < 0 || params.t2 < 0) {
+        alert("T1 and T2 must not be negative");
+        return null;
+    }
+    // 0 means no relaxation; with a finite T1, T2 = 0 means no dephasing beyond what T1 causes
+    if (params.t1 === 0) params.t1 = Infinity;
+    if (params.t2 === 0) params.t2 = 2 * params.t1;
+    if (params.t2 > 2 * params.t1) {
+        alert("T2 cannot be longer than 2·T1");
+        return null;
+    }
+    return params;
+}
+
+function registerBlochSimListeners() {
+    document.getElementById('sim-play-btn').addEventListener('click', () => {
+        if (blochSim.running) {
+            stopBlochSimulation();
+        } else {
+            startBlochSimulation();
+        }
+    });
+
+    document.getElementById('sim-restart-btn').addEventListener('click', restartBlochSimulation);
+
+    document.querySelectorAll('#bloch-sim-panel .param-grid input').forEach(input => {
+        input.addEventListener('change', () => {
+            if (!blochSim.running) return;
+            const params = readBlochSimParams();
+            if (params == null) {
+                stopBlochSimulation();
+                return;
+            }
+            setBlochSimParams(getQbit(blochSim.qbitId), params);
+        });
+    });
+
+    const speedInput = document.getElementById('sim-speed');
+    speedInput.addEventListener('input', () => {
+        blochSim.speed = parseFloat(speedInput.value);
+        document.getElementById('sim-speed-value').textContent = `${blochSim.speed.toFixed(1)}x`;
+    });
+
+    const frameInput = document.getElementById('sim-rotating-frame');
+    frameInput.addEventListener('change', () => {
+        const qbit = getQbit(blochSim.qbitId);
+        if (qbit == null || blochSim.params == null) {
+            blochSim.rotatingFrame = frameInput.checked;
+            return;
+        }
+        blochSim.magnetization = fromDisplayFrame(qbit.current, blochSim.time);
+        blochSim.rotatingFrame = frameInput.checked;
+        showMagnetization(qbit);
+        clearTrajectory();
+    });
+}
+
+/**
+ * Reads the ensemble settings from the side panel.
+ *
+ * @returns {object|null} The settings, or null if they are invalid.
+ */
+function readEnsembleSettings() {
+    const read = id => parseFloat(document.getElementById(id).value);
+    const settings = {
+        count: read('ens-count'),
+        distribution: document.getElementById('ens-distribution').value,
+        width: read('ens-width'),
+        t1: read('ens-t1'),
+        t2: read('ens-t2'),
+        speed: read('ens-speed')
+    };
+
+    if ([settings.count, settings.width, settings.t1, settings.t2, settings.speed].some(isNaN)) {
+        alert("You must enter numbers");
+        return null;
+    }
+    if (!Number.isInteger(settings.count) || settings.count < 1 || settings.count > 500) {
+        alert("The number of spins must be an integer between 1 and 500");
+        return null;
+    }
+    if (settings.width < 0 || settings.t1 < 0 || settings.t2 < 0) {
+        alert("Width, T1 and T2 must not be negative");
+        return null;
+    }
+    // 0 means no relaxation
+    if (settings.t1 === 0) settings.t1 = Infinity;
+    if (settings.t2 === 0) settings.t2 = Infinity;
+    return settings;
+}
+
+function registerEnsembleListeners() {
+    const sequenceInput = document.getElementById('ens-sequence');
+    const readTiming = () => ({
+        tau: parseFloat(document.getElementById('ens-tau').value),
+        echoes: parseInt(document.getElementById('ens-echoes').value, 10)
+    });
+
+    document.getElementById('ens-echo-preset').addEventListener('click', () => {
+        const { tau } = readTiming();
+        if (isNaN(tau) || tau <= 0) {
+            alert("τ must be a positive number");
+            return;
+        }
+        sequenceInput.value = Bloch.spinEchoSequence(tau);
+    });
+
+    document.getElementById('ens-cpmg-preset').addEventListener('click', () => {
+        const { tau, echoes } = readTiming();
+        if (isNaN(tau) || tau <= 0 || isNaN(echoes) || echoes < 1) {
+            alert("τ must be positive and the number of echoes at least 1");
+            return;
+        }
+        sequenceInput.value = Bloch.cpmgSequence(tau, echoes);
+    });
+
+    document.getElementById('ens-run-btn').addEventListener('click', () => {
+        const settings = readEnsembleSettings();
+        if (settings == null) return;
+
+        let events;
+        try {
+            events = Bloch.parsePulseSequence(sequenceInput.value);
+        } catch (e) {
+            alert(e.message);
+            sequenceInput.focus();
+            sequenceInput.setSelectionRange(e.position ?? 0, e.position ?? 0);
+            return;
+        }
+        if (events.length === 0) {
+            alert("The pulse sequence is empty");
+            return;
+        }
+        runEnsemble(settings, events);
+    });
+
+    const pauseBtn = document.getElementById('ens-pause-btn');
+    pauseBtn.addEventListener('click', () => {
+        if (ensemble == null || ensemble.eventIndex >= ensemble.events.length) return;
+        ensemble.running = !ensemble.running;
+        ensemble.lastFrameTime = performance.now();
+        pauseBtn.textContent = ensemble.running ? 'Pause' : 'Resume';
+    });
+
+    document.getElementById('ens-remove-btn').addEventListener('click', removeEnsemble);
+
+    document.getElementById('ens-speed').addEventListener('input', (e) => {
+        const speed = parseFloat(e.target.value);
+        if (ensemble != null && Number.isFinite(speed) && speed >= 0) ensemble.speed = speed;
+    });
+}
+
+const MEASUREMENT_BASES = {
+    Z: { name: 'Z', axis: new THREE.Vector3(0, 0, 1), labels: ['|0⟩', '|1⟩'] },
+    X: { name: 'X', axis: new THREE.Vector3(1, 0, 0), labels: ['|+⟩', '|−⟩'] },
+    Y: { name: 'Y', axis: new THREE.Vector3(0, 1, 0), labels: ['|+i⟩', '|−i⟩'] }
+};
+const MAX_SHOTS = 1000000;
+
+/**
+ * Reads the measurement basis from the side panel.
+ *
+ * @returns {{axis: THREE.Vector3, labels: string[]}|null} The basis, or null on invalid custom angles.
+ */
+function readMeasurementBasis() {
+    const basis = document.getElementById('measure-basis').value;
+    if (basis !== 'custom') return MEASUREMENT_BASES[basis];
+
+    const theta = readAngleInput('measure-theta');
+    if (theta == null) return null;
+    const phi = readAngleInput('measure-phi');
+    if (phi == null) return null;
+
+    const axis = new THREE.Vector3(
+        Math.sin(theta) * Math.cos(phi),
+        Math.sin(theta) * Math.sin(phi),
+        Math.cos(theta)
+    );
+    return { name: 'n', axis, labels: ['+n', '−n'] };
+}
+
+function renderMeasurementHistogram(labels, counts, probabilities) {
+    const container = document.getElementById('measurement-results');
+    container.innerHTML = '';
+    const shots = counts[0] + counts[1];
+
+    labels.forEach((label, i) => {
+        const frequency = shots > 0 ? counts[i] / shots : 0;
+
+        const row = document.createElement('div');
+        row.className = 'histogram-row';
+
+        const name = document.createElement('span');
+        name.className = 'histogram-label';
+        name.textContent = label;
+
+        const track = document.createElement('div');
+        track.className = 'histogram-track';
+        const bar = document.createElement('div');
+        bar.className = 'histogram-bar';
+        bar.style.width = `${frequency * 100}%`;
+        const expected = document.createElement('div');
+        expected.className = 'histogram-expected';
+        expected.style.left = `${probabilities[i] * 100}%`;
+        expected.title = `Born probability ${probabilities[i].toFixed(3)}`;
+        track.appendChild(bar);
+        track.appendChild(expected);
+
+        const value = document.createElement('span');
+        value.className = 'histogram-value';
+        value.textContent = `${counts[i]} (${frequency.toFixed(3)}) · P = ${probabilities[i].toFixed(3)}`;
+
+        row.appendChild(name);
+        row.appendChild(track);
+        row.appendChild(value);
+        container.appendChild(row);
+    });
+}
+
+function registerMeasurementListeners() {
+    const basisSelect = document.getElementById('measure-basis');
+    const customAxis = document.getElementById('measure-custom-axis');
+    basisSelect.addEventListener('change', () => {
+        customAxis.hidden = basisSelect.value !== 'custom';
+    });
+
+    const seedInput = document.getElementById('measure-seed');
+    const reseed = () => {
+        const seed = Number(seedInput.value);
+        if (seedInput.value.trim() === '' || !Number.isInteger(seed)) {
+            alert("The seed must be an integer");
+            return;
+        }
+        measurementRng = QMath.createRng(seed);
+    };
+    seedInput.addEventListener('change', reseed);
+    document.getElementById('measure-reseed-btn').addEventListener('click', reseed);
+
+    document.getElementById('measure-btn').addEventListener('click', () => {
+        if (selectedQbit == null) return;
+        if (lockedByExercise("The exercise qubit cannot be measured")) return;
+        const basis = readMeasurementBasis();
+        if (basis == null) return;
+
+        queueAction(qbit => {
+            const probabilities = QMath.measurementProbabilities(qbit.state, basis.axis);
+            const { outcome, state } = QMath.measure(qbit.state, basis.axis, measurementRng);
+            renderMeasurementHistogram(basis.labels, outcome === 0 ? [1, 0] : [0, 1], probabilities);
+            document.getElementById('measurement-outcome').textContent = `Outcome: ${basis.labels[outcome]}`;
+            return { label: `M${basis.name}→${basis.labels[outcome]}`, collapse: state };
+        }, true);
+    });
+
+    document.getElementById('sample-btn').addEventListener('click', () => {
+        if (selectedQbit == null) return;
+        const basis = readMeasurementBasis();
+        if (basis == null) return;
+
+        const shots = Number(document.getElementById('measure-shots').value);
+        if (!Number.isInteger(shots) || shots < 1 || shots > MAX_SHOTS) {
+            alert(`The number of shots must be an integer between 1 and ${MAX_SHOTS}`);
+            return;
+        }
+
+        queueAction(qbit => {
+            const probabilities = QMath.measurementProbabilities(qbit.state, basis.axis);
+            const counts = QMath.sampleShots(qbit.state, basis.axis, shots, measurementRng);
+            renderMeasurementHistogram(basis.labels, counts, probabilities);
+            document.getElementById('measurement-outcome').textContent = `${shots} shots, state not collapsed`;
+            return null;
+        });
+    });
+}
+
+// --- State tomography ---
+
+const TOMOGRAPHY_ARROW_OPTS = {
+  shaftRadius: 0.008,
+  headLength: 0.06,
+  headRadius: 0.025,
+  opacity: 0.85
+};
+const LINEAR_INVERSION_COLOR = 0xff9800;
+const MAXIMUM_LIKELIHOOD_COLOR = 0x26c6da;
+// √χ²₃(0.95): 95% of the linear inversion estimates fall inside the ellipsoid
+const CONFIDENCE_SCALE = 2.7955;
+
+function formatBloch(vector) {
+  return `(${vector.toArray().map(v => v.toFixed(3)).join(', ')})`;
+}
+
+function clearTomography() {
+  if (tomography == null) return;
+  tomography.arrows.forEach(arrow => removeVector(scene, arrow));
+  tomographyEllipsoid.visible = false;
+  tomography = null;
+  document.getElementById('tomography-result').textContent = '';
+}
+
+// The estimate is only shown for the state it was taken from
+function updateTomography() {
+  if (tomography == null) return;
+  const qbit = getQbit(tomography.id);
+  if (qbit == null || qbit.state !== tomography.state || register != null) clearTomography();
+}
+
+/**
+ * Measures N copies of the qubit in each of the X, Y and Z bases, reconstructs
+ * the Bloch vector and draws the estimates with their confidence ellipsoid.
+ */
+function runTomography(qbit, shots) {
+  clearTomography();
+  const counts = {
+    x: QMath.sampleShots(qbit.state, n_X, shots, measurementRng),
+    y: QMath.sampleShots(qbit.state, n_Y, shots, measurementRng),
+    z: QMath.sampleShots(qbit.state, n_Z, shots, measurementRng)
+  };
+  const truth = QMath.toBloch(qbit.state);
+  const linear = QMath.linearInversion(counts);
+  const likelihood = QMath.maximumLikelihood(counts);
+  const errors = QMath.tomographyErrors(counts);
+
+  tomography = {
+    id: qbit.id,
+    state: qbit.state,
+    arrows: [
+      drawVector(scene, linear, LINEAR_INVERSION_COLOR, TOMOGRAPHY_ARROW_OPTS),
+      drawVector(scene, likelihood, MAXIMUM_LIKELIHOOD_COLOR, TOMOGRAPHY_ARROW_OPTS)
+    ]
+  };
+  tomographyEllipsoid.position.copy(linear);
+  tomographyEllipsoid.scale.copy(errors).multiplyScalar(CONFIDENCE_SCALE);
+  tomographyEllipsoid.visible = true;
+
+  const outside = linear.length() > 1 ? ', outside the sphere: not a physical state' : '';
+  document.getElementById('tomography-result').textContent = [
+    `${shots} shots per basis`,
+    ['X', 'Y', 'Z'].map((name, i) => `${name}: ${counts[name.toLowerCase()].join(' / ')}`).join('   '),
+    `True r = ${formatBloch(truth)}`,
+    `Linear inversion (orange) = ${formatBloch(linear)}, |r| = ${linear.length().toFixed(3)}${outside}`,
+    `  error ${linear.distanceTo(truth).toFixed(3)}`,
+    `Maximum likelihood (cyan) = ${formatBloch(likelihood)}, |r| = ${likelihood.length().toFixed(3)}`,
+    `  error ${likelihood.distanceTo(truth).toFixed(3)}`,
+    `95% ellipsoid half-axes ${formatBloch(errors.clone().multiplyScalar(CONFIDENCE_SCALE))}`
+  ].join('\n');
+}
+
+function registerTomographyListeners() {
+    document.getElementById('tomography-btn').addEventListener('click', () => {
+        if (selectedQbit == null) {
+            alert("Select a qubit to reconstruct");
+            return;
+        }
+        const shots = Number(document.getElementById('tomography-shots').value);
+        if (!Number.isInteger(shots) || shots < 1 || shots > MAX_SHOTS) {
+            alert(`The number of shots must be an integer between 1 and ${MAX_SHOTS}`);
+            return;
+        }
+
+        // Waits for queued gates so the estimate is of the state shown
+        queueAction(qbit => {
+            runTomography(qbit, shots);
+            return null;
+        });
+    });
+
+    document.getElementById('tomography-clear-btn').addEventListener('click', clearTomography);
+}
+
+function showQasmErrors(errors) {
+    const list = document.getElementById('qasm-errors');
+    list.innerHTML = '';
+    errors.forEach(({ line, message }) => {
+        const item = document.createElement('li');
+        item.textContent = `Line ${line}: ${message}`;
+        list.appendChild(item);
+    });
+}
+
+function registerQasmListeners() {
+    const input = document.getElementById('qasm-input');
+
+    document.getElementById('qasm-apply-btn').addEventListener('click', () => {
+        if (!hasGateTarget()) {
+            alert("Select a qubit to run the program on");
+            return;
+        }
+        const { operations, errors } = parseQasm(input.value);
+        showQasmErrors(errors);
+        if (errors.length > 0 || !allowedByExercise(operations)) return;
+
+        operations.forEach(({ line, ...operation }) => applyGate(operation));
+    });
+
+    document.getElementById('qasm-export-btn').addEventListener('click', () => {
+        if (selectedQbit == null) {
+            alert("Select a qubit to export");
+            return;
+        }
+        const qbit = getQbit(selectedQbit);
+        const version = Number(document.getElementById('qasm-version').value);
+        input.value = exportQasm(qbit.circuit.slice(0, qbit.step), version);
+        showQasmErrors([]);
+    });
+}
+
+// --- Comparing two qubits ---
+
+const COMPARISON_ARC_COLOR = 0xffeb3b;
+
+function setComparedQbit(id) {
+  if (comparedQbit != null) document.getElementById(comparedQbit)?.classList.remove('comparedVector');
+  comparedQbit = id;
+  if (id != null) document.getElementById(id).classList.add('comparedVector');
+}
+
+/**
+ * The rotation taking the direction of one Bloch vector to another, about the
+ * axis perpendicular to both, so it follows the shortest great-circle arc.
+ *
+ * @returns {{axis: THREE.Vector3, angle: number}|null} Null if a vector has no direction.
+ */
+function geodesicRotation(from, to) {
+  if (from.length() < 1e-9 || to.length() < 1e-9) return null;
+  const angle = from.angleTo(to);
+  const axis = from.clone().cross(to);
+  if (axis.length() < 1e-9) {
+    // Parallel or antipodal: any axis perpendicular to the vector will do
+    axis.crossVectors(from, Math.abs(from.x) < 0.9 ? n_X : n_Y);
+  }
+  return { axis: axis.normalize(), angle };
+}
+
+/**
+ * Redraws the geodesic and the measures when the compared states change.
+ * Called every frame; does nothing while the states stay the same.
+ */
+function updateComparison() {
+  const second = comparedQbit == null ? null : getQbit(comparedQbit);
+  const first = second == null ? null : getQbit(selectedQbit);
+  const active = first != null && second != null && register == null;
+  const key = active ? `${first.state.flat().map(v => `${v.re},${v.im}`)}|${second.state.flat().map(v => `${v.re},${v.im}`)}` : null;
+  if (key === comparison.key) return;
+  comparison.key = key;
+
+  if (comparison.arc != null) {
+    removeArc(comparison.arc);
+    comparison.arc = null;
+  }
+  const info = document.getElementById('comparison-info');
+  document.getElementById('find-gate-btn').disabled = !active;
+  if (!active) {
+    info.textContent = 'Shift-click a second qubit in the list to compare it with the selected one.';
+    return;
+  }
+
+  const from = QMath.toBloch(first.state);
+  const to = QMath.toBloch(second.state);
+  const rotation = geodesicRotation(from, to);
+  if (rotation != null && rotation.angle > 1e-9) {
+    const points = generateArcPoints(from.clone().normalize(), rotation.axis, rotation.angle, NUM_ARC_POINTS);
+    comparison.arc = drawArc(scene, points, COMPARISON_ARC_COLOR);
+  }
+  info.textContent = [
+    `${first.id} → ${second.id}`,
+    `Fidelity F = ${QMath.fidelity(first.state, second.state).toFixed(3)}`,
+    `Trace distance D = ${QMath.traceDistance(first.state, second.state).toFixed(3)}`,
+    rotation != null ? `Angle = ${toDegrees(rotation.angle)}°` : 'Angle undefined (maximally mixed state)'
+  ].join('\n');
+}
+
+// Plain numbers are degrees in the sequence language, multiples of pi are radians
+function formatSequenceAngle(angle) {
+  const exact = formatAngle(angle);
+  return exact.includes('pi') || exact === '0' ? exact : `${Number((angle / Math.PI * 180).toFixed(4))}`;
+}
+
+/**
+ * Writes a unitary as a gate sequence through its ZYZ Euler decomposition.
+ * U = e^{iα} Rz(β) Ry(γ) Rz(δ) acts from the right, so the sequence, which
+ * runs left to right, is Rz(δ) Ry(γ) Rz(β). Zero rotations are left out.
+ */
+function eulerSequence(matrix) {
+  const { beta, gamma, delta } = QMath.zyzDecomposition(matrix);
+  const sequence = [['Rz', delta], ['Ry', gamma], ['Rz', beta]]
+    .filter(([, angle]) => Math.abs(angle) > 1e-9)
+    .map(([name, angle]) => `${name}(${formatSequenceAngle(angle)})`)
+    .join(' ');
+  return sequence === '' ? 'I' : sequence;
+}
+
+/**
+ * Writes the rotation taking the selected qubit to the compared one as a gate
+ * sequence.
+ *
+ * @returns {string|null} The sequence, or null after telling the user why there is none.
+ */
+function findComparisonGate() {
+  const from = QMath.toBloch(getQbit(selectedQbit).state);
+  const to = QMath.toBloch(getQbit(comparedQbit).state);
+  const result = document.getElementById('find-gate-result');
+  const rotation = geodesicRotation(from, to);
+
+  if (rotation == null) {
+    result.textContent = 'No gate changes the maximally mixed state, and no gate can reach it.';
+    return null;
+  }
+  const notes = [];
+  if (Math.abs(from.length() - to.length()) > 1e-6) {
+    notes.push('The Bloch vectors differ in length; a gate only turns the direction.');
+  }
+  if (rotation.angle < 1e-9) {
+    result.textContent = [...notes, 'The directions already agree, no gate is needed.'].join('\n');
+    return null;
+  }
+
+  const sequence = eulerSequence(QMath.ROTATION_GATE(rotation.axis, rotation.angle));
+  result.textContent = [
+    `Rotate by ${toDegrees(rotation.angle)}° about (${rotation.axis.toArray().map(v => v.toFixed(2)).join(', ')})`,
+    `Sequence: ${sequence}`,
+    ...notes
+  ].join('\n');
+  return sequence;
+}
+
+function registerComparisonListeners() {
+    const applyBtn = document.getElementById('find-gate-apply-btn');
+
+    document.getElementById('find-gate-btn').addEventListener('click', () => {
+        if (selectedQbit == null || comparedQbit == null) return;
+        const sequence = findComparisonGate();
+        applyBtn.hidden = sequence == null;
+        if (sequence == null) return;
+        document.getElementById('sequence-input').value = sequence;
+        previewSequence();
+    });
+
+    // Runs the sequence found above on the selected qubit
+    applyBtn.addEventListener('click', () => {
+        const operations = previewSequence();
+        if (operations == null || selectedQbit == null || !allowedByExercise(operations)) return;
+        operations.forEach(operation => applyGate(operation));
+        applyBtn.hidden = true;
+    });
+}
+
+// --- Gate synthesis ---
+
+// The search stops at QMath.CLIFFORD_T_MAX_NODES distinct products, which it
+// reaches just after every sequence of this length has been tried
+const MAX_SYNTHESIS_LENGTH = 28;
+const MIN_SYNTHESIS_PRECISION = 1e-6;
+
+// Sequences found by the last decomposition, in the gate sequence language
+let synthesis = { exact: null, approximate: null };
+
+/**
+ * Reads what to decompose from the side panel: the matrix of the custom gate
+ * editor, or the rotation turning the selected qubit (|0⟩ if none) to a direction.
+ *
+ * @returns {{description: string, matrix: object[][], distance: function(object[][]): number, measure: string}|null}
+ *     The unitary and the error of a candidate, or null after telling the user why not.
+ */
+function readSynthesisTarget() {
+    if (document.getElementById('synthesis-target').value === 'matrix') {
+        const typed = checkMatrixEditor();
+        if (typed == null) {
+            alert("The custom gate editor does not hold a valid matrix");
+            return null;
+        }
+        let matrix;
+        try {
+            matrix = Library.checkUnitary(typed);
+        } catch (e) {
+            if (!(e instanceof Library.LibraryError)) throw e;
+            alert(`Cannot decompose the custom gate: ${e.message}`);
+            return null;
+        }
+        return {
+            description: 'Target: the matrix of the custom gate editor',
+            matrix,
+            distance: candidate => QMath.unitaryDistance(candidate, matrix),
+            measure: 'operator distance'
+        };
+    }
+
+    const theta = readAngleInput('synthesis-theta');
+    if (theta == null) return null;
+    const phi = readAngleInput('synthesis-phi');
+    if (phi == null) return null;
+    const target = fromSpherical(theta, phi);
+    const fromSelected = register == null && selectedQbit != null;
+    const start = fromSelected ? getQbit(selectedQbit).current : n_Z.clone();
+    const rotation = geodesicRotation(start, target);
+    if (rotation == null) {
+        alert("The selected qubit is maximally mixed, no gate turns it");
+        return null;
+    }
+    const startState = QMath.blochToState(start.normalize());
+    return {
+        description: `Target: turn ${fromSelected ? 'the selected qubit' : '|0⟩'} to θ = ${toDegrees(theta)}°, φ = ${toDegrees(phi)}°`,
+        matrix: QMath.ROTATION_GATE(rotation.axis, rotation.angle),
+        // Trace distance between pure states along the reached and the target direction
+        distance: candidate => {
+            const reached = QMath.toBloch(QMath.evolve(candidate, startState));
+            return Math.sqrt(Math.max(0, (1 - reached.dot(target)) / 2));
+        },
+        measure: 'trace distance'
+    };
+}
+
+function readSynthesisLimits() {
+    const precision = Number(document.getElementById('synthesis-precision').value);
+    if (!(precision >= MIN_SYNTHESIS_PRECISION && precision <= 1)) {
+        alert(`The precision must be between ${MIN_SYNTHESIS_PRECISION} and 1`);
+        return null;
+    }
+    const maxLength = Number(document.getElementById('synthesis-max-length').value);
+    if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_SYNTHESIS_LENGTH) {
+        alert(`The maximum length must be an integer between 1 and ${MAX_SYNTHESIS_LENGTH}`);
+        return null;
+    }
+    return { precision, maxLength };
+}
+
+/**
+ * Decomposes the target exactly into Z and Y rotations and approximately
+ * into H, T, S and X, and shows both. The search can take seconds, so it runs
+ * in chunks and gives the page back in between, showing how far it got.
+ */
+async function runSynthesis() {
+    const target = readSynthesisTarget();
+    if (target == null) return;
+    const limits = readSynthesisLimits();
+    if (limits == null) return;
+
+    const button = document.getElementById('synthesis-btn');
+    const result = document.getElementById('synthesis-result');
+    button.disabled = true;
+    document.getElementById('synthesis-apply-exact-btn').hidden = true;
+    document.getElementById('synthesis-apply-approx-btn').hidden = true;
+
+    const steps = QMath.cliffordTSearch(target.distance, limits.precision, limits.maxLength);
+    let step = steps.next();
+    while (!step.done) {
+        result.textContent = `Searching {H, T, S, X}: length ${step.value.depth + 1}, ${step.value.explored} products…`;
+        await new Promise(resolve => setTimeout(resolve));
+        step = steps.next();
+    }
+    const search = step.value;
+    button.disabled = false;
+
+    const { alpha, beta, gamma, delta } = QMath.zyzDecomposition(target.matrix);
+    const approximate = search.sequence.length > 0 ? search.sequence.join(' ') : 'I';
+    synthesis = { exact: eulerSequence(target.matrix), approximate };
+
+    const found = `${approximate} (length ${search.sequence.length}, T-count ${search.tCount}), ${target.measure} ${search.error.toFixed(4)}`;
+    const outcome = search.reached ? found
+        : search.exhausted ? `${found}; no product of these gates is closer`
+        : search.stoppedBy === 'nodes'
+            ? `${found}; precision ${limits.precision} not reached, the search stopped at ${search.explored} products after length ${search.depth}`
+            : `${found}; precision ${limits.precision} not reached within length ${limits.maxLength}`;
+    result.textContent = [
+        target.description,
+        'U = e^{iα} Rz(β) Ry(γ) Rz(δ)',
+        `α = ${toDegrees(alpha)}°, β = ${toDegrees(beta)}°, γ = ${toDegrees(gamma)}°, δ = ${toDegrees(delta)}°`,
+        `Exact: ${synthesis.exact}`,
+        `{H, T, S, X}: ${outcome}`,
+        `${search.explored} distinct products searched`
+    ].join('\n');
+    document.getElementById('synthesis-apply-exact-btn').hidden = false;
+    document.getElementById('synthesis-apply-approx-btn').hidden = false;
+}
+
+function applySynthesis(sequence) {
+    if (sequence == null) return;
+    if (!hasGateTarget()) {
+        alert("Select a qubit to apply the sequence to");
+        return;
+    }
+    const operations = parseSequence(sequence);
+    if (!allowedByExercise(operations)) return;
+    operations.forEach(operation => applyGate(operation));
+}
+
+function registerSynthesisListeners() {
+    const targetSelect = document.getElementById('synthesis-target');
+    targetSelect.addEventListener('change', () => {
+        document.getElementById('synthesis-state-inputs').hidden = targetSelect.value !== 'state';
+    });
+    document.getElementById('synthesis-btn').addEventListener('click', runSynthesis);
+    document.getElementById('synthesis-apply-exact-btn').addEventListener('click', () => applySynthesis(synthesis.exact));
+    document.getElementById('synthesis-apply-approx-btn').addEventListener('click', () => applySynthesis(synthesis.approximate));
+}
+
+// --- Exercises ---
+
+const EXERCISE_GHOST_COLOR = 0x9e9e9e;
+const EXERCISE_GHOST_OPTS = { opacity: 0.45 };
+
+let exerciseSet = Exercises.readExercises(Exercises.EXAMPLE_EXERCISES);
+// One entry per exercise of the set, kept across restarts and exported as the results
+let exerciseResults = [];
+
+function resetExerciseResults() {
+  exerciseResults = exerciseSet.exercises.map(({ title }) => ({
+    title,
+    solved: false,
+    moves: null,
+    attempts: 0,
+    bestFidelity: 0,
+    solution: []
+  }));
+}
+
+/**
+ * Counts the moves made on the exercise qubit, including gates still queued
+ * or animating.
+ */
+function exerciseMoves(qbit) {
+  const pending = gateQueue.filter(entry => entry.id === qbit.id && (entry.operation != null || entry.changesState) && !entry.replay).length;
+  const animating = activeAnimation != null && activeAnimation.qbit === qbit && !activeAnimation.entry.replay ? 1 : 0;
+  return qbit.step + pending + animating;
+}
+
+/**
+ * Alerts and returns true if the selected qubit is the exercise qubit, for
+ * changes that do not go through the exercise's gate set.
+ *
+ * @param {string} message What cannot be done.
+ * @returns {boolean} Whether the change has to be refused.
+ */
+function lockedByExercise(message) {
+  if (exercise == null || register != null || selectedQbit !== exercise.id) return false;
+  alert(`${message}, only the gates of the exercise can be applied to it`);
+  return true;
+}
+
+/**
+ * Checks operations headed for the selected qubit against the running exercise.
+ *
+ * @param {object[]} operations The operations about to be applied.
+ * @returns {boolean} Whether they may be applied; if not, the user has been told why.
+ */
+function allowedByExercise(operations) {
+  if (exercise == null || register != null || selectedQbit !== exercise.id) return true;
+  const { gates, maxMoves } = exerciseSet.exercises[exercise.index];
+
+  // Sequences and OpenQASM programs name their gates in OpenQASM
+  const gateId = operation => operation.gateId ?? Gates.findGateByQasm(operation.qasm?.name)?.id;
+  if (operations.some(operation => !gates.includes(gateId(operation)))) {
+    const names = gates.map(id => Gates.getGate(id)?.symbol ?? id).join(', ');
+    alert(`Only the ${names} gates can be used in this exercise`);
+    return false;
+  }
+  if (maxMoves != null && exerciseMoves(getQbit(exercise.id)) + operations.length > maxMoves) {
+    alert(`This exercise allows ${maxMoves} move(s), restart it to try again`);
+    return false;
+  }
+  return true;
+}
+
+function setExerciseStatus(text, kind = '') {
+  const status = document.getElementById('exercise-status');
+  status.textContent = text;
+  status.className = `sequence-result ${kind}`.trim();
+}
+
+function startExercise(index) {
+  stopExercise();
+  const definition = exerciseSet.exercises[index];
+  const id = createQbit(definition.start);
+  selectQbit(id);
+
+  exercise = {
+    index,
+    id,
+    ghost: drawVector(scene, QMath.toBloch(definition.target), EXERCISE_GHOST_COLOR, EXERCISE_GHOST_OPTS),
+    state: null
+  };
+  exerciseResults[index].attempts++;
+
+  document.querySelectorAll('#gate-palette [data-gate]').forEach(button => {
+    button.classList.toggle('exercise-allowed', definition.gates.includes(button.dataset.gate));
+  });
+  document.getElementById('exercise-restart-btn').disabled = false;
+  document.getElementById('exercise-stop-btn').disabled = false;
+}
+
+function stopExercise(message = '') {
+  if (exercise == null) return;
+  removeVector(scene, exercise.ghost);
+  exercise = null;
+  document.body.classList.remove('exercise-locked');
+  document.getElementById('exercise-restart-btn').disabled = true;
+  document.getElementById('exercise-stop-btn').disabled = true;
+  setExerciseStatus(message);
+}
+
+// Back to the start state with an empty circuit, as one undoable step
+function restartExercise() {
+  const qbit = getQbit(exercise.id);
+  cancelAnimations(qbit.id);
+  recordCommand('Restart exercise', () => {
+    qbit.reset();
+    qbit.circuit = [];
+  });
+  qbit.refresh();
+  updateCircuitStrip(qbit);
+  exerciseResults[exercise.index].attempts++;
+  selectQbit(qbit.id);
+}
+
+/**
+ * Shows the live fidelity to the target and records a solution the first
+ * time it is within the exercise's tolerance. Called every frame.
+ */
+function updateExercise() {
+  if (exercise == null) return;
+  const qbit = getQbit(exercise.id);
+  if (qbit == null) {
+    stopExercise('The exercise qubit was removed');
+    return;
+  }
+  document.body.classList.toggle('exercise-locked', register == null && selectedQbit === exercise.id);
+  if (qbit.state === exercise.state) return;
+  exercise.state = qbit.state;
+
+  const definition = exerciseSet.exercises[exercise.index];
+  const result = exerciseResults[exercise.index];
+  const fidelity = QMath.fidelity(qbit.state, definition.target);
+  const moves = qbit.step;
+  result.bestFidelity = Math.max(result.bestFidelity, fidelity);
+
+  const solved = fidelity >= definition.minFidelity;
+  if (solved && (!result.solved || moves < result.moves)) {
+    result.solved = true;
+    result.moves = moves;
+    result.solution = qbit.circuit.slice(0, moves).map(operation => operation.label);
+  }
+
+  const lines = [
+    definition.title,
+    `Moves: ${moves}${definition.maxMoves != null ? ` / ${definition.maxMoves}` : ''}`,
+    `Fidelity to target: ${fidelity.toFixed(4)} (solved from ${definition.minFidelity})`
+  ];
+  if (solved) {
+    setExerciseStatus([...lines, `Solved in ${moves} move(s)!`].join('\n'), 'success');
+  } else if (definition.maxMoves != null && moves >= definition.maxMoves) {
+    setExerciseStatus([...lines, 'Out of moves, restart to try again'].join('\n'), 'error');
+  } else {
+    setExerciseStatus(lines.join('\n'));
+  }
+}
+
+function renderExerciseList() {
+    document.getElementById('exercise-set-title').textContent = exerciseSet.title;
+    const select = document.getElementById('exercise-select');
+    select.replaceChildren(...exerciseSet.exercises.map(({ title }, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = `${index + 1}. ${title}`;
+        return option;
+    }));
+    showExerciseDescription();
+}
+
+function showExerciseDescription() {
+    const definition = exerciseSet.exercises[Number(document.getElementById('exercise-select').value)];
+    const names = definition.gates.map(id => Gates.getGate(id)?.symbol ?? id).join(', ');
+    const limit = definition.maxMoves != null ? `, at most ${definition.maxMoves} move(s)` : '';
+    document.getElementById('exercise-description').textContent =
+        [definition.description, `Gates: ${names}${limit}`].filter(line => line !== '').join('\n');
+}
+
+function registerExerciseListeners() {
+    const fileInput = document.getElementById('exercise-file-input');
+    const select = document.getElementById('exercise-select');
+    resetExerciseResults();
+    renderExerciseList();
+
+    select.addEventListener('change', showExerciseDescription);
+    document.getElementById('exercise-start-btn').addEventListener('click', () => {
+        if (register != null) {
+            alert("Exercises use a single qubit, leave two-qubit mode first");
+            return;
+        }
+        startExercise(Number(select.value));
+    });
+    document.getElementById('exercise-restart-btn').addEventListener('click', () => {
+        if (exercise != null) restartExercise();
+    });
+    document.getElementById('exercise-stop-btn').addEventListener('click', () => stopExercise());
+
+    // The palette is rebuilt when gates are registered; keep marking the allowed ones
+    Gates.onGatesChanged(() => {
+        if (exercise == null) return;
+        const { gates } = exerciseSet.exercises[exercise.index];
+        document.querySelectorAll('#gate-palette [data-gate]').forEach(button => {
+            button.classList.toggle('exercise-allowed', gates.includes(button.dataset.gate));
+        });
     });
 
+    document.getElementById('exercise-load-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file == null) return;
+        try {
+            exerciseSet = Exercises.parseExercises(await file.text());
+        } catch (e) {
+            if (!(e instanceof Exercises.ExerciseError)) throw e;
+            alert(`Could not load exercises: ${e.message}`);
+            return;
+        }
+        stopExercise();
+        resetExerciseResults();
+        renderExerciseList();
+    });
+
+    document.getElementById('exercise-export-btn').addEventListener('click', () => {
+        const json = JSON.stringify(Exercises.serializeResults(exerciseSet.title, exerciseResults), null, 2);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = 'bloch-exercise-results.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
 }
 
-function registerAddBtnListener() {
+// --- Two-qubit register ---
+// The register replaces the single-qubit scene while it is active: its two
+// spheres live on their own camera layer, so switching modes only switches
+// the layer the camera renders.
+
+const REGISTER_LAYER = 1;
+const REGISTER_SPHERE_OFFSET = 1.3;
+const REGISTER_COLORS = [0xff7043, 0x26c6da];
+const REGISTER_ZOOM = 0.75;
+const BASIS_LABELS = ['|00⟩', '|01⟩', '|10⟩', '|11⟩'];
 
-    const listContainer = document.getElementById('listContainer');
+// { state: 4 amplitudes, log: applied gate labels, views: one sphere per qubit, zoom: camera zoom to restore }
+let register = null;
+
+function setLayer(object, layer) {
+  object.traverse(child => child.layers.set(layer));
+}
 
-    const vecXInput = document.getElementById('vecX');
-    const vecYInput = document.getElementById('vecY');
-    const vecZInput = document.getElementById('vecZ');
+/**
+ * Draws the sphere of one register qubit, to the left (q0) or right (q1) of
+ * the centre as seen from the current camera.
+ */
+function createRegisterView(index) {
+  camera.updateMatrixWorld();
+  const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0).setZ(0);
+  if (right.lengthSq() < 1e-6) right.set(1, 0, 0);
+  right.normalize().multiplyScalar(REGISTER_SPHERE_OFFSET);
+
+  const group = new THREE.Group();
+  group.position.copy(right).multiplyScalar(index === 0 ? -1 : 1);
+  group.add(new THREE.Mesh(sphereGeometry, sphereMaterial));
+  group.add(new THREE.AxesHelper(1.15));
+  const label = createTextSprite(`q${index}`, REGISTER_COLORS[index]);
+  label.position.set(0, 0, SPHERE_RADIUS + 0.3);
+  group.add(label);
+  setLayer(group, REGISTER_LAYER);
+  scene.add(group);
+  return { group, arrow: null };
+}
 
+function removeRegisterView({ group, arrow }) {
+  if (arrow != null) removeVector(group, arrow);
+  scene.remove(group);
+  group.traverse(object => {
+    // The sphere shares its geometry and material with the main sphere
+    if (object.isMesh) return;
+    object.geometry?.dispose();
+    object.material?.map?.dispose();
+    object.material?.dispose();
+  });
+}
 
-    const addBtn = document.getElementById('addBtn').addEventListener
-        ('click', () => {
+function updateRegisterViews() {
+  register.views.forEach((view, index) => {
+    if (view.arrow != null) removeVector(view.group, view.arrow);
+    const reduced = QMath.toBloch(QMath.reducedDensityMatrix(register.state, index));
+    view.arrow = drawVector(view.group, reduced, REGISTER_COLORS[index]);
+    setLayer(view.arrow, REGISTER_LAYER);
+  });
 
-            const coordinateX = parseFloat(vecXInput.value);
-            const coordinateY = parseFloat(vecYInput.value);
-            const coordinateZ = parseFloat(vecZInput.value);
+  const lengths = [0, 1].map(index => QMath.toBloch(QMath.reducedDensityMatrix(register.state, index)).length());
+  const amplitudes = register.state
+    .map((amplitude, i) => `${BASIS_LABELS[i]}  ${QMath.toStr(amplitude, 3)}`)
+    .join('\n');
+  document.getElementById('register-info').textContent = [
+    amplitudes,
+    `Concurrence C = ${QMath.concurrence(register.state).toFixed(3)}`,
+    `Entanglement entropy S = ${QMath.entanglementEntropy(register.state).toFixed(3)} bit`,
+    `|r0| = ${lengths[0].toFixed(3)}, |r1| = ${lengths[1].toFixed(3)}`,
+    `Gates: ${register.log.length > 0 ? register.log.join(', ') : 'none'}`
+  ].join('\n');
+}
 
-            if (isNaN(coordinateX) || isNaN(coordinateY) || isNaN(coordinateZ)) {
-                alert("You must enter numbers");
-                return;
-            }
+function enterTwoQubitMode(state) {
+  cancelAnimations();
+  stopBlochSimulation();
+  hideGatePreview();
+  register = { state, log: [], views: [createRegisterView(0), createRegisterView(1)], zoom: camera.zoom };
+  camera.layers.set(REGISTER_LAYER);
+  camera.zoom = REGISTER_ZOOM;
+  camera.updateProjectionMatrix();
+  document.body.classList.add('two-qubit');
+  document.getElementById('two-qubit-toggle-btn').textContent = 'Back to single qubits';
+  updateRegisterViews();
+}
 
+function exitTwoQubitMode() {
+  register.views.forEach(removeRegisterView);
+  camera.layers.set(0);
+  camera.zoom = register.zoom;
+  camera.updateProjectionMatrix();
+  register = null;
+  document.body.classList.remove('two-qubit');
+  document.getElementById('two-qubit-toggle-btn').textContent = 'Start two-qubit mode';
+}
 
-            if (coordinateX == 0 && coordinateY == 0 && coordinateZ == 0) {
-                alert("Please give a non null vector");
-                return;
+function captureRegister() {
+  return register == null ? null : { state: register.state, log: [...register.log] };
+}
+
+function restoreRegister(snapshot) {
+  if (snapshot == null) {
+    if (register != null) exitTwoQubitMode();
+    return;
+  }
+  if (register == null) enterTwoQubitMode(snapshot.state);
+  register.state = snapshot.state;
+  register.log = [...snapshot.log];
+  updateRegisterViews();
+}
+
+/**
+ * Runs a change of the register as an undoable command. Register states are
+ * small, so the command keeps the whole register before and after.
+ */
+function recordRegisterCommand(label, execute) {
+  const before = captureRegister();
+  execute();
+  const after = captureRegister();
+  commandHistory.push({ label, undo: () => restoreRegister(before), redo: () => restoreRegister(after) });
+  updateHistoryButtons();
+}
+
+function applyRegisterMatrix(label, matrix) {
+  recordRegisterCommand(label, () => {
+    register.state = QMath.applyTwoQubitGate(matrix, register.state);
+    register.log.push(label);
+    updateRegisterViews();
+  });
+}
+
+/**
+ * Applies a single-qubit gate from the palette to the register's target qubit.
+ */
+function applyRegisterGate(operation) {
+  const target = Number(document.getElementById('register-target').value);
+  applyRegisterMatrix(`${operation.label} q${target}`, QMath.liftGate(operation.gate, target));
+}
+
+function readRegisterProductState() {
+  const [first, second] = ['register-q0', 'register-q1']
+    .map(selectId => NAMED_STATES[Number(document.getElementById(selectId).value)].state);
+  return QMath.kron(first, second);
+}
+
+function registerTwoQubitListeners() {
+    ['register-q0', 'register-q1'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        NAMED_STATES.forEach(({ name }, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+    });
+
+    document.getElementById('two-qubit-toggle-btn').addEventListener('click', () => {
+        if (register == null) {
+            recordRegisterCommand('Two-qubit mode', () => enterTwoQubitMode(readRegisterProductState()));
+        } else {
+            recordRegisterCommand('Single-qubit mode', exitTwoQubitMode);
+        }
+    });
+
+    document.getElementById('register-prepare-btn').addEventListener('click', () => {
+        if (register == null) return;
+        recordRegisterCommand('Prepare register', () => {
+            register.state = readRegisterProductState();
+            register.log = [];
+            updateRegisterViews();
+        });
+    });
+
+    document.getElementById('cnot-btn').addEventListener('click', () => {
+        if (register == null) return;
+        const reversed = document.getElementById('cnot-direction').value === '10';
+        applyRegisterMatrix(reversed ? 'CNOT q1→q0' : 'CNOT q0→q1', reversed ? QMath.CNOT_REVERSED : QMath.CNOT);
+    });
+    document.getElementById('cz-btn').addEventListener('click', () => {
+        if (register != null) applyRegisterMatrix('CZ', QMath.CZ);
+    });
+    document.getElementById('swap-btn').addEventListener('click', () => {
+        if (register != null) applyRegisterMatrix('SWAP', QMath.SWAP);
+    });
+}
+
+// --- Gate preview ---
+
+const GATE_PREVIEW_COLOR = 0xffb300;
+const GATE_PREVIEW_AXIS_LENGTH = 1.35;
+const GATE_PREVIEW_OPACITY = 0.45;
+
+// Everything drawn for the hovered gate button; emptied when the pointer leaves
+const gatePreview = new THREE.Group();
+scene.add(gatePreview);
+
+/**
+ * Renders text onto a canvas and wraps it in a sprite that always faces the camera.
+ *
+ * @param {string} text The text.
+ * @param {number} colorHex The text colour.
+ * @param {number} [height] Height of the sprite in scene units.
+ * @returns {THREE.Sprite}
+ */
+function createTextSprite(text, colorHex, height = 0.16) {
+    const fontSize = 64;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = `bold ${fontSize}px sans-serif`;
+    canvas.width = Math.ceil(context.measureText(text).width) + 16;
+    canvas.height = fontSize + 16;
+    // Resizing the canvas resets the context
+    context.font = `bold ${fontSize}px sans-serif`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillStyle = `#${new THREE.Color(colorHex).getHexString()}`;
+    context.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, depthTest: false, transparent: true }));
+    sprite.scale.set(height * canvas.width / canvas.height, height, 1);
+    return sprite;
+}
+
+function drawDashedLine(parent, points, colorHex) {
+    const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineDashedMaterial({ color: colorHex, dashSize: 0.05, gapSize: 0.04 })
+    );
+    line.computeLineDistances();
+    parent.add(line);
+    return line;
+}
+
+/**
+ * Removes everything from a group and frees the GPU resources, sprite textures included.
+ */
+function disposeChildren(group) {
+    group.children.slice().forEach(child => {
+        group.remove(child);
+        child.traverse(object => {
+            object.geometry?.dispose();
+            object.material?.map?.dispose();
+            object.material?.dispose();
+        });
+    });
+}
+
+function hideGatePreview() {
+    disposeChildren(gatePreview);
+    document.getElementById('sphere-readout').hidden = true;
+}
+
+/**
+ * Shows a gate as the rotation it performs: a ghost arrow along the rotation
+ * axis labelled with the angle and, if a qubit is selected, the dashed path
+ * to the state it would end up in.
+ *
+ * @param {object|null} operation The gate operation, or null if its inputs are invalid.
+ * @param {HTMLElement} button The hovered button, the readout is placed next to it.
+ */
+function showGatePreview(operation, button) {
+    hideGatePreview();
+    if (operation == null || operation.gate == null) return;
+
+    // Same axis and angle as the gate animation
+    const { axis, angle } = operation.rotation ?? QMath.unitaryToAxisAngle(operation.gate);
+    const direction = axis.clone().normalize();
+    const degrees = toDegrees(angle);
+
+    drawVector(gatePreview, direction.clone().multiplyScalar(GATE_PREVIEW_AXIS_LENGTH), GATE_PREVIEW_COLOR, {
+        opacity: GATE_PREVIEW_OPACITY
+    });
+    drawDashedLine(gatePreview, [new THREE.Vector3(0, 0, 0), direction.clone().multiplyScalar(-GATE_PREVIEW_AXIS_LENGTH)], GATE_PREVIEW_COLOR);
+    const label = createTextSprite(`${degrees}°`, GATE_PREVIEW_COLOR);
+    label.position.copy(direction).multiplyScalar(GATE_PREVIEW_AXIS_LENGTH + 0.15);
+    gatePreview.add(label);
+
+    const qbit = getQbit(selectedQbit);
+    if (qbit != null) {
+        const start = QMath.toBloch(qbit.state);
+        if (start.length() > 1e-6) {
+            const end = QMath.toBloch(qbit.stateAfter(operation));
+            if (Math.abs(angle) > 1e-9) {
+                drawDashedLine(gatePreview, generateArcPoints(start, direction, angle, NUM_ARC_POINTS), qbit.color);
             }
+            drawDashedLine(gatePreview, [new THREE.Vector3(0, 0, 0), end], qbit.color);
+        }
+    }
+
+    const rect = button.getBoundingClientRect();
+    const readout = document.getElementById('sphere-readout');
+    readout.hidden = false;
+    readout.style.left = `${rect.right + 8}px`;
+    readout.style.top = `${rect.top}px`;
+    readout.textContent = `${operation.label}: ${degrees}° about (${direction.toArray().map(v => v.toFixed(2)).join(', ')})`;
+}
+
+// --- Scene labels and angle overlays ---
+
+const SCENE_LABEL_COLORS = {
+  dark: { axes: [0xef5350, 0x66bb6a, 0x42a5f5], states: 0xe0e0e0 },
+  light: { axes: [0xc62828, 0x2e7d32, 0x1565c0], states: 0x424242 }
+};
+const ANGLE_OVERLAY_COLORS = {
+  dark: { theta: 0xffca28, phi: 0x4dd0e1, projection: 0xbdbdbd },
+  light: { theta: 0xe65100, phi: 0x00838f, projection: 0x616161 }
+};
+const AXIS_LABEL_DISTANCE = 1.45;
+const STATE_LABEL_DISTANCE = 1.15;
+const ANGLE_ARC_RADIUS = 0.35;
+
+const sceneLabels = new THREE.Group();
+scene.add(sceneLabels);
+const angleOverlayGroup = new THREE.Group();
+scene.add(angleOverlayGroup);
+
+/**
+ * Labels the x, y and z axes and the six cardinal states in the colours of the theme.
+ *
+ * @param {string} theme 'dark' or 'light'.
+ */
+function drawSceneLabels(theme) {
+  disposeChildren(sceneLabels);
+  const colors = SCENE_LABEL_COLORS[theme];
+  ['x', 'y', 'z'].forEach((name, i) => {
+    const label = createTextSprite(name, colors.axes[i], 0.14);
+    label.position.setComponent(i, AXIS_LABEL_DISTANCE);
+    sceneLabels.add(label);
+  });
+  NAMED_STATES.forEach(({ name, state }) => {
+    const label = createTextSprite(name, colors.states, 0.12);
+    label.position.copy(QMath.toBloch(state)).multiplyScalar(STATE_LABEL_DISTANCE);
+    sceneLabels.add(label);
+  });
+}
+drawSceneLabels(currentTheme());
+
+/**
+ * Draws the polar angle from +z, the azimuth from +x and dashed projections
+ * of the arrow tip onto the axes and the equatorial plane.
+ */
+function drawAngleOverlay(vector, colors) {
+  const { theta, phi } = toSpherical(vector);
+  // Short vectors of mixed states get proportionally smaller arcs
+  const radius = ANGLE_ARC_RADIUS * Math.min(1, 2 * vector.length());
+  const horizontal = new THREE.Vector3(Math.cos(phi), Math.sin(phi), 0);
+
+  const thetaAxis = n_Z.clone().cross(horizontal).normalize();
+  drawArc(angleOverlayGroup, generateArcPoints(n_Z.clone().multiplyScalar(radius), thetaAxis, theta, NUM_ARC_POINTS), colors.theta);
+  const thetaLabel = createTextSprite(`θ = ${toDegrees(theta)}°`, colors.theta, 0.1);
+  thetaLabel.position.copy(n_Z).applyAxisAngle(thetaAxis, theta / 2).multiplyScalar(radius + 0.15);
+  angleOverlayGroup.add(thetaLabel);
+
+  const { x, y, z } = vector;
+  const foot = new THREE.Vector3(x, y, 0);
+  const origin = new THREE.Vector3(0, 0, 0);
+  drawDashedLine(angleOverlayGroup, [vector, new THREE.Vector3(0, 0, z)], colors.projection);
+
+  // The azimuth is undefined on the z axis
+  if (foot.length() > 1e-3) {
+    drawArc(angleOverlayGroup, generateArcPoints(n_X.clone().multiplyScalar(radius), n_Z, phi, NUM_ARC_POINTS), colors.phi);
+    const phiLabel = createTextSprite(`φ = ${toDegrees(phi)}°`, colors.phi, 0.1);
+    phiLabel.position.copy(n_X).applyAxisAngle(n_Z, phi / 2).multiplyScalar(radius + 0.15);
+    angleOverlayGroup.add(phiLabel);
+
+    drawDashedLine(angleOverlayGroup, [vector, foot], colors.projection);
+    drawDashedLine(angleOverlayGroup, [origin, foot], colors.projection);
+    drawDashedLine(angleOverlayGroup, [foot, new THREE.Vector3(x, 0, 0)], colors.projection);
+    drawDashedLine(angleOverlayGroup, [foot, new THREE.Vector3(0, y, 0)], colors.projection);
+  }
+}
+
+/**
+ * Keeps the overlay on the selected qubit's arrow, including while a gate
+ * animates it. Called every frame; redraws only when the arrow or the theme changes.
+ */
+function updateAngleOverlay() {
+  if (!angleOverlay.enabled) return;
+  const qbit = register == null ? getQbit(selectedQbit) : null;
+  const length = qbit?.current.length() ?? 0;
+  const vector = length > 1e-6 ? new THREE.Vector3(0, length, 0).applyQuaternion(qbit.group.quaternion) : null;
+  const theme = currentTheme();
+  const key = vector == null ? null : `${theme}|${vector.toArray().map(v => v.toFixed(4))}`;
+  if (key === angleOverlay.key) return;
+
+  angleOverlay.key = key;
+  disposeChildren(angleOverlayGroup);
+  if (vector != null) drawAngleOverlay(vector, ANGLE_OVERLAY_COLORS[theme]);
+}
+
+function registerSceneLabelListeners() {
+    const labels = document.getElementById('scene-labels');
+    labels.addEventListener('change', () => {
+        sceneLabels.visible = labels.checked;
+    });
+
+    const overlay = document.getElementById('angle-overlay');
+    overlay.addEventListener('change', () => {
+        angleOverlay = { enabled: overlay.checked, key: null };
+        disposeChildren(angleOverlayGroup);
+    });
+}
+
+// --- Trails ---
+
+const TRAIL_OPACITY = 0.9;
+const TRAIL_MIN_OPACITY = 0.15;
+
+// Continuous motion adds a position once the vector has moved this far
+const TRAIL_SAMPLE_DISTANCE = 0.02;
+// Older positions are dropped, so a long simulation does not pile up segments
+const TRAIL_MAX_POSITIONS = 2000;
+
+let trailFading = false;
+
+/**
+ * Points of the great-circle segment between two Bloch vectors. Vectors of
+ * different length (mixed states) are joined along the arc with the length
+ * changing linearly; a zero vector is joined with a straight line.
+ */
+function trailSegmentPoints(from, to) {
+  const rotation = geodesicRotation(from, to);
+  if (rotation == null || rotation.angle < 1e-6) return [from.clone(), to.clone()];
+
+  const count = Math.max(2, Math.ceil(rotation.angle / Math.PI * NUM_ARC_POINTS));
+  const start = from.length(), end = to.length();
+  return generateArcPoints(from.clone().normalize(), rotation.axis, rotation.angle, count)
+    .map((point, i) => point.multiplyScalar(start + (end - start) * i / (count - 1)));
+}
 
-            const normalized = normalize(coordinateX, coordinateY, coordinateZ);
+function trailSegment(from, to, color) {
+  return new THREE.Line(
+    new THREE.BufferGeometry().setFromPoints(trailSegmentPoints(from, to)),
+    new THREE.LineBasicMaterial({ color, transparent: true, opacity: TRAIL_OPACITY })
+  );
+}
+
+// Drops the oldest segment of a trail
+function removeTrailSegment(group) {
+  const oldest = group.children[0];
+  if (oldest == null) return;
+  group.remove(oldest);
+  oldest.geometry.dispose();
+  oldest.material.dispose();
+}
+
+// Makes older segments more transparent, or all equally opaque with fading off
+function fadeTrail(group) {
+  const segments = group.children.length;
+  group.children.forEach((line, i) => {
+    line.material.opacity = trailFading
+      ? TRAIL_MIN_OPACITY + (TRAIL_OPACITY - TRAIL_MIN_OPACITY) * (i + 1) / segments
+      : TRAIL_OPACITY;
+  });
+}
+
+/**
+ * Draws the positions as a polyline of great-circle segments. With fading
+ * on, older segments are more transparent.
+ *
+ * @param {THREE.Vector3[]} positions Bloch vectors, oldest first.
+ * @param {THREE.Color} color The qubit's colour.
+ * @returns {THREE.Group} The group added to the scene.
+ */
+function drawTrail(positions, color) {
+  const group = new THREE.Group();
+  for (let i = 0; i + 1 < positions.length; i++) {
+    group.add(trailSegment(positions[i], positions[i + 1], color));
+  }
+  fadeTrail(group);
+  scene.add(group);
+  return group;
+}
 
-            const randColor = Math.floor(Math.random() * 0xFFFFFF);
-            let randomID = getRandomIntInclusive(100000, 999999);
-            const newElement = createElement(randColor, normalized.x, normalized.y, normalized.z, randomID);
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-            listContainer.appendChild(newElement);
+/**
+ * Writes the visited positions of a qubit as CSV, with the circuit step it was
+ * at and the gate that led there; the angles are in degrees.
+ */
+function trailCsv(qbit) {
+  const rows = qbit.visited.map(({ step, label, vector }) => {
+    const { theta, phi } = toSpherical(vector);
+    return [step, csvField(label), ...vector.toArray().map(v => v.toFixed(6)), toDegrees(theta), toDegrees(phi)].join(',');
+  });
+  return ['step,gate,x,y,z,theta,phi', ...rows].join('\n') + '\n';
+}
 
-            addNewQbit(randomID, normalized.x, normalized.y, normalized.z, randColor);
+function registerTrailListeners() {
+    const fade = document.getElementById('trail-fade');
+    fade.addEventListener('change', () => {
+        trailFading = fade.checked;
+        qbits.forEach(qbit => {
+            if (qbit.trailGroup != null) fadeTrail(qbit.trailGroup);
         });
+    });
+
+    document.getElementById('trail-export-btn').addEventListener('click', () => {
+        if (selectedQbit == null) {
+            alert("Select a qubit to export its trail");
+            return;
+        }
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([trailCsv(getQbit(selectedQbit))], { type: 'text/csv' }));
+        link.download = `bloch-trail-${selectedQbit}.csv`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+}
+
+// --- Editing states directly on the sphere ---
+
+const TIP_PICK_RADIUS = 14; // px
+const CLICK_MOVE_TOLERANCE = 5; // px
+const SNAP_CARDINAL_ANGLE = 10 / 180 * Math.PI;
+const SNAP_STEP = 15 / 180 * Math.PI;
+const CARDINAL_STATES = [n_X, n_Y, n_Z].flatMap(axis => [axis, axis.clone().negate()]);
+
+const raycaster = new THREE.Raycaster();
+
+// Latitude (constant θ) and longitude (constant φ) circles shown while dragging
+const guideCircle = new THREE.BufferGeometry().setFromPoints(
+  generateArcPoints(new THREE.Vector3(1, 0, 0), n_Z, 2 * Math.PI, NUM_ARC_POINTS + 1)
+);
+const guideMaterial = new THREE.LineBasicMaterial({ color: 0xaaaaaa, transparent: true, opacity: 0.6 });
+const latitudeGuide = new THREE.Line(guideCircle, guideMaterial);
+const longitudeGuide = new THREE.Line(guideCircle, guideMaterial);
+latitudeGuide.visible = false;
+longitudeGuide.visible = false;
+scene.add(latitudeGuide);
+scene.add(longitudeGuide);
+
+// Arrow being dragged: { qbitId, before, length }; or a pending click: { x, y }
+let sphereDrag = null;
+let sphereClick = null;
+
+function toSpherical({ x, y, z }) {
+  const length = Math.sqrt(x * x + y * y + z * z);
+  const theta = length < 1e-12 ? 0 : Math.acos(Math.min(1, Math.max(-1, z / length)));
+  const phi = (Math.atan2(y, x) + 2 * Math.PI) % (2 * Math.PI);
+  return { theta, phi };
+}
+
+function fromSpherical(theta, phi) {
+  return new THREE.Vector3(Math.sin(theta) * Math.cos(phi), Math.sin(theta) * Math.sin(phi), Math.cos(theta));
+}
+
+/**
+ * Snaps a unit vector to a nearby cardinal state, otherwise to the 15° grid in θ and φ.
+ */
+function snapDirection(direction) {
+  const cardinal = CARDINAL_STATES.find(state => state.angleTo(direction) < SNAP_CARDINAL_ANGLE);
+  if (cardinal != null) return cardinal.clone();
+  const { theta, phi } = toSpherical(direction);
+  return fromSpherical(Math.round(theta / SNAP_STEP) * SNAP_STEP, Math.round(phi / SNAP_STEP) * SNAP_STEP);
 }
 
+function pointerToNdc(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  return new THREE.Vector2(
+    (event.clientX - rect.left) / rect.width * 2 - 1,
+    -(event.clientY - rect.top) / rect.height * 2 + 1
+  );
+}
 
-function registerPhaseInputListener() {
-const phaseInput = document.getElementById('phase-degrees');
+/**
+ * Returns the direction of the sphere point under the pointer. Off the sphere,
+ * the nearest point of its outline is used, so a drag can run along the rim.
+ *
+ * @param {PointerEvent} event The pointer event.
+ * @param {boolean} [allowOutside] Use the outline when the pointer misses the sphere.
+ * @returns {THREE.Vector3|null} A unit vector, or null if the sphere was missed.
+ */
+function pickSphereDirection(event, allowOutside = false) {
+  raycaster.setFromCamera(pointerToNdc(event), camera);
+  const hit = raycaster.intersectObject(sphereMesh, false)[0];
+  if (hit != null) return hit.point.clone().normalize();
+  if (!allowOutside) return null;
+  return raycaster.ray.closestPointToPoint(new THREE.Vector3(0, 0, 0), new THREE.Vector3()).normalize();
+}
 
-phaseInput.addEventListener('input', () => {
-    if (phaseInput.value.length > 3) {
-        phaseInput.value = phaseInput.value.slice(0, 3);
+/**
+ * Finds the qubit whose arrow tip is closest to the pointer on screen.
+ */
+function pickQbitTip(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  let best = null;
+  let bestDistance = TIP_PICK_RADIUS;
+  qbits.forEach(qbit => {
+    const tip = qbit.current;
+    if (tip.length() < 1e-6) return;
+    const ndc = tip.project(camera);
+    const dx = (ndc.x + 1) / 2 * rect.width + rect.left - event.clientX;
+    const dy = (1 - ndc.y) / 2 * rect.height + rect.top - event.clientY;
+    const distance = Math.hypot(dx, dy);
+    if (distance < bestDistance) {
+      best = qbit;
+      bestDistance = distance;
     }
-});
-phaseInput.addEventListener('click', (e) => {
-    e.stopPropagation();
-});
+  });
+  return best;
+}
+
+function readDirection(event, allowOutside) {
+  const direction = pickSphereDirection(event, allowOutside);
+  if (direction != null && document.getElementById('sphere-snap').checked) {
+    return snapDirection(direction);
+  }
+  return direction;
+}
+
+function showDragGuides(direction, event) {
+  const { theta, phi } = toSpherical(direction);
+  latitudeGuide.scale.set(Math.sin(theta), Math.sin(theta), 1);
+  latitudeGuide.position.set(0, 0, Math.cos(theta));
+  longitudeGuide.quaternion.setFromAxisAngle(n_Z, phi)
+    .multiply(new THREE.Quaternion().setFromAxisAngle(n_X, Math.PI / 2));
+  latitudeGuide.visible = true;
+  longitudeGuide.visible = true;
+
+  const readout = document.getElementById('sphere-readout');
+  readout.hidden = false;
+  readout.style.left = `${event.clientX + 16}px`;
+  readout.style.top = `${event.clientY + 16}px`;
+  readout.textContent = `θ = ${(theta / Math.PI * 180).toFixed(1)}°, φ = ${(phi / Math.PI * 180).toFixed(1)}°`;
+}
+
+function hideDragGuides() {
+  latitudeGuide.visible = false;
+  longitudeGuide.visible = false;
+  document.getElementById('sphere-readout').hidden = true;
+}
+
+/**
+ * Prepares the dragged qubit in a new state. The circuit is kept and rewound,
+ * so it can be replayed from the new starting point.
+ */
+function moveDraggedQbit(direction) {
+  const qbit = getQbit(sphereDrag.qbitId);
+  const { x, y, z } = direction.clone().multiplyScalar(sphereDrag.length);
+  qbit.initialState = QMath.fromBloch({ x, y, z });
+  qbit.state = qbit.initialState;
+  qbit.step = 0;
+  qbit.refresh();
+}
+
+function registerSphereListeners() {
+    const canvas = renderer.domElement;
+
+    // Capture phase, so a drag that starts on an arrow tip can switch off
+    // OrbitControls before it starts rotating the camera
+    canvas.addEventListener('pointerdown', (event) => {
+        if (event.button !== 0 || register != null) return;
+        const qbit = pickQbitTip(event);
+        // The exercise qubit only moves by gates
+        if (qbit != null && qbit.id !== exercise?.id) {
+            controls.enabled = false;
+            cancelAnimations(qbit.id);
+            if (blochSim.qbitId === qbit.id) stopBlochSimulation();
+            sphereDrag = { qbitId: qbit.id, before: captureScene(), length: Math.min(qbit.current.length(), 1), moved: false };
+            selectQbit(qbit.id);
+            canvas.setPointerCapture?.(event.pointerId);
+            canvas.style.cursor = 'grabbing';
+            return;
+        }
+        if (document.getElementById('sphere-click-add').checked) {
+            sphereClick = { x: event.clientX, y: event.clientY };
+        }
+    }, { capture: true });
+
+    canvas.addEventListener('pointermove', (event) => {
+        if (sphereDrag == null) {
+            canvas.style.cursor = register == null && pickQbitTip(event) != null ? 'grab' : '';
+            return;
+        }
+        const direction = readDirection(event, true);
+        sphereDrag.moved = true;
+        moveDraggedQbit(direction);
+        showDragGuides(direction, event);
+    });
+
+    // Keeps the move made so far, also when the browser cancels the pointer
+    const endSphereDrag = () => {
+        if (sphereDrag.moved) {
+            updateCircuitStrip(getQbit(sphereDrag.qbitId));
+            pushCommand('Move qubit', sphereDrag.before);
+        }
+        sphereDrag = null;
+        controls.enabled = true;
+        hideDragGuides();
+    };
+
+    canvas.addEventListener('pointerup', (event) => {
+        if (sphereDrag != null) {
+            endSphereDrag();
+            canvas.style.cursor = 'grab';
+            return;
+        }
 
+        const click = sphereClick;
+        sphereClick = null;
+        if (click == null || Math.hypot(event.clientX - click.x, event.clientY - click.y) > CLICK_MOVE_TOLERANCE) return;
+        const direction = readDirection(event, false);
+        if (direction != null) {
+            createQbit(QMath.fromBloch(direction));
+        }
+    });
+
+    canvas.addEventListener('pointercancel', () => {
+        sphereClick = null;
+        if (sphereDrag == null) return;
+        endSphereDrag();
+        canvas.style.cursor = '';
+    });
+}
+
+function readAmplitudeInput(inputId, name) {
+    const input = document.getElementById(inputId);
+    try {
+        return parseComplex(input.value);
+    } catch (e) {
+        alert(`Invalid amplitude ${name} "${input.value}": ${e.message}`);
+        input.focus();
+        return null;
+    }
+}
+
+/**
+ * Reads the state typed into the add-vector panel in its selected representation.
+ *
+ * @returns {Array|null} The state, or null after telling the user what is wrong.
+ */
+function readInputState() {
+    switch (document.getElementById('input-representation').value) {
+        case 'angles': {
+            const theta = readAngleInput('input-theta');
+            if (theta == null) return null;
+            const phi = readAngleInput('input-phi');
+            if (phi == null) return null;
+            return QMath.blochToState(fromSpherical(theta, phi));
+        }
+        case 'amplitudes': {
+            const alpha = readAmplitudeInput('input-alpha', 'α');
+            if (alpha == null) return null;
+            const beta = readAmplitudeInput('input-beta', 'β');
+            if (beta == null) return null;
+            if (Math.hypot(alpha.re, alpha.im, beta.re, beta.im) < 1e-9) {
+                alert("α and β cannot both be zero");
+                return null;
+            }
+            // Unnormalised amplitudes are scaled; the global phase is kept as typed
+            return QMath.normalize([alpha, beta]);
+        }
+        case 'named':
+            return NAMED_STATES[Number(document.getElementById('input-named').value)].state;
+        default: {
+            const coordinateX = parseFloat(document.getElementById('vecX').value);
+            const coordinateY = parseFloat(document.getElementById('vecY').value);
+            const coordinateZ = parseFloat(document.getElementById('vecZ').value);
+
+            if (isNaN(coordinateX) || isNaN(coordinateY) || isNaN(coordinateZ)) {
+                alert("You must enter numbers");
+                return null;
+            }
+
+            // Vectors inside the sphere are mixed states; longer ones are projected onto the surface
+            const length = Math.sqrt(coordinateX ** 2 + coordinateY ** 2 + coordinateZ ** 2);
+            const normalized = length > 1
+                ? normalize(coordinateX, coordinateY, coordinateZ)
+                : { x: coordinateX, y: coordinateY, z: coordinateZ };
+            return QMath.fromBloch(normalized);
+        }
+    }
+}
+
+function registerAddBtnListener() {
+    const representation = document.getElementById('input-representation');
+    const named = document.getElementById('input-named');
+
+    NAMED_STATES.forEach(({ name }, index) => {
+        const option = document.createElement('option');
+        option.value = index;
+        option.textContent = name;
+        named.appendChild(option);
+    });
+
+    representation.addEventListener('change', () => {
+        document.querySelectorAll('.state-inputs').forEach(inputs => {
+            inputs.hidden = inputs.dataset.representation !== representation.value;
+        });
+    });
+
+    document.getElementById('addBtn').addEventListener('click', () => {
+        const state = readInputState();
+        if (state != null) {
+            createQbit(state);
+        }
+    });
+}
+
+
+function registerAnimationSpeedListener() {
+    const speedInput = document.getElementById('animation-speed');
+    const speedValue = document.getElementById('animation-speed-value');
+
+    speedInput.addEventListener('input', () => {
+        animationSpeed = parseFloat(speedInput.value);
+        speedValue.textContent = `${animationSpeed.toFixed(2)}x`;
+    });
 }
 
 function registerClearBtnListener() {
 const clearBtn = document.getElementById('clearBtn');
 
     clearBtn.addEventListener("click", () => {
-        Array.from(listContainer.children).forEach(children => children.remove());
-        clear();
+        recordCommand('Clear all vectors', () => {
+            Array.from(listContainer.children).forEach(children => children.remove());
+            clear();
+        });
+    });
+
+}
+
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const nextUndo = commandHistory.undoStack.at(-1);
+    const nextRedo = commandHistory.redoStack.at(-1);
+
+    undoBtn.disabled = nextUndo == null;
+    redoBtn.disabled = nextRedo == null;
+    undoBtn.title = nextUndo == null ? 'Nothing to undo' : `Undo: ${nextUndo.label} (Ctrl+Z)`;
+    redoBtn.title = nextRedo == null ? 'Nothing to redo' : `Redo: ${nextRedo.label} (Ctrl+Shift+Z)`;
+}
+
+function loadSceneText(text, label) {
+    let loaded;
+    try {
+        loaded = Scene.parseScene(text);
+    } catch (e) {
+        if (!(e instanceof Scene.SceneError)) throw e;
+        alert(`Could not load scene: ${e.message}`);
+        return;
+    }
+    recordCommand(label, () => applyScene(loaded));
+}
+
+function registerSceneListeners() {
+    const fileInput = document.getElementById('scene-file-input');
+
+    document.getElementById('scene-export-btn').addEventListener('click', () => {
+        const json = JSON.stringify(Scene.serializeScene(currentScene()), null, 2);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        link.download = 'bloch-scene.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    });
+
+    document.getElementById('scene-import-btn').addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file == null) return;
+        loadSceneText(await file.text(), 'Load scene');
+    });
+
+    document.getElementById('scene-link-btn').addEventListener('click', async () => {
+        const hash = Scene.encodeSceneHash(Scene.serializeScene(currentScene()));
+        const url = `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+        try {
+            await navigator.clipboard.writeText(url);
+            document.getElementById('scene-link-status').textContent = 'Link copied to clipboard';
+        } catch (e) {
+            window.prompt('Copy this link:', url);
+        }
+    });
+
+    // Pasting a scene link into the address bar of an open page only changes the hash
+    window.addEventListener('hashchange', () => {
+        let shared;
+        try {
+            shared = Scene.decodeSceneHash(window.location.hash);
+        } catch (e) {
+            alert(`Could not open the shared scene: ${e.message}`);
+            return;
+        }
+        if (shared == null) return;
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        loadSceneText(shared, 'Open shared scene');
+    });
+
+    controls.addEventListener('end', saveSession);
+    window.addEventListener('pagehide', saveSession);
+}
+
+function registerHistoryListeners() {
+    document.getElementById('undo-btn').addEventListener('click', undo);
+    document.getElementById('redo-btn').addEventListener('click', redo);
+
+    document.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z') return;
+        // Text fields keep their own undo
+        if (event.target.closest?.('input, textarea, select') != null) return;
+        event.preventDefault();
+        if (event.shiftKey) {
+            redo();
+        } else {
+            undo();
+        }
     });
 
+    updateHistoryButtons();
 }
 
 
@@ -566,15 +4058,29 @@ function RegisterListeners() {
 
     document.addEventListener('DOMContentLoaded', () => {
         registerThemeBtnListener();
-        registerXGateBtnListener();
-        registerYGateBtnListener();
-        registerZGateBtnListener();
-        registerHGateBtnListener();
-        registerSGateBtnListener();
-        registerPHBtnListener();
+        registerGatePaletteListeners();
+        registerAngleInputListeners();
+        registerSequenceListeners();
+        registerCustomGateListeners();
+        registerTwoQubitListeners();
+        registerComparisonListeners();
+        registerTomographyListeners();
+        registerExerciseListeners();
+        registerSynthesisListeners();
+        registerSceneLabelListeners();
+        registerTrailListeners();
+        registerChannelListeners();
+        registerBlochSimListeners();
+        registerEnsembleListeners();
+        registerMeasurementListeners();
+        registerQasmListeners();
         registerAddBtnListener();
-        registerPhaseInputListener();
+        registerSphereListeners();
+        registerAnimationSpeedListener();
         registerClearBtnListener();;
+        registerHistoryListeners();
+        registerSceneListeners();
+        restoreSession();
     });
 }
 
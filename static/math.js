@@ -2,7 +2,7 @@ import * as THREE from 'three';
 
 // --- Komplex szám helperek ---
 // komplex szám: { re: number, im: number }
-const C = (re, im = 0) => ({ re, im });
+export const C = (re, im = 0) => ({ re, im });
 
 function add(a, b) { return C(a.re + b.re, a.im + b.im); }
 function sub(a, b) { return C(a.re - b.re, a.im - b.im); }
@@ -14,7 +14,18 @@ function scale(a, k) {
 }
 function conj(a) { return C(a.re, -a.im); }
 function abs2(a) { return a.re * a.re + a.im * a.im; }
-function toStr(a, digits = 4) {
+function div(a, b) {
+  const d = abs2(b);
+  return C((a.re * b.re + a.im * b.im) / d, (a.im * b.re - a.re * b.im) / d);
+}
+// e^{i·phi}
+function expi(phi) { return C(Math.cos(phi), Math.sin(phi)); }
+function csqrt(a) {
+  const r = Math.sqrt(Math.sqrt(abs2(a)));
+  const arg = Math.atan2(a.im, a.re) / 2;
+  return C(r * Math.cos(arg), r * Math.sin(arg));
+}
+export function toStr(a, digits = 4) {
   const r = a.re.toFixed(digits), i = a.im.toFixed(digits);
   if (Math.abs(a.im) < 1e-12) return `${r}`;
   if (a.im >= 0) return `${r}+${i}i`;
@@ -77,7 +88,7 @@ function matrixVectorMultiply(mat, vec) {
   return out;
 }
 
-function normalize(vec) {
+export function normalize(vec) {
   let s = 0;
   for (const v of vec) s += abs2(v);
   if (s < 1e-12) return vec; // Ne osszunk nullával
@@ -92,6 +103,9 @@ export const ket1 = [C(0,0), C(1,0)];
 export const ketPlus = normalize([C(1,0), C(1,0)]);
 // |-> állapot
 export const ketMinus = normalize([C(1,0), C(-1,0)]);
+// |+i> és |-i> állapot (az y tengely két vége)
+export const ketPlusI = normalize([C(1,0), C(0,1)]);
+export const ketMinusI = normalize([C(1,0), C(0,-1)]);
 
 
 // --- Pauli és Hadamard mátrixok ---
@@ -134,16 +148,603 @@ export function PHASE_GATE(theta) {
   ];
 }
 
-function applyGate(gateMatrix, stateVector) {
+// --- Forgatás kapuk: R_n(θ) = exp(-i θ/2 n·σ) ---
+export function RX_GATE(theta) {
+  const c = Math.cos(theta / 2), s = Math.sin(theta / 2);
+  return [
+    [C(c,0), C(0,-s)],
+    [C(0,-s), C(c,0)]
+  ];
+}
+
+export function RY_GATE(theta) {
+  const c = Math.cos(theta / 2), s = Math.sin(theta / 2);
+  return [
+    [C(c,0), C(-s,0)],
+    [C(s,0), C(c,0)]
+  ];
+}
+
+export function RZ_GATE(theta) {
+  return [
+    [expi(-theta / 2), C(0,0)],
+    [C(0,0), expi(theta / 2)]
+  ];
+}
+
+// --- Általános egyqubites kapu (OpenQASM U3 konvenció) ---
+export function U3_GATE(theta, phi, lambda) {
+  const c = Math.cos(theta / 2), s = Math.sin(theta / 2);
+  return [
+    [C(c,0), scale(expi(lambda), -s)],
+    [scale(expi(phi), s), scale(expi(phi + lambda), c)]
+  ];
+}
+
+export function applyGate(gateMatrix, stateVector) {
   return matrixVectorMultiply(gateMatrix, stateVector);
 }
 
+// --- Sűrűségmátrixok ---
+// Egy qubit állapota vagy állapotvektor [α, β] (tiszta), vagy 2x2 sűrűségmátrix (kevert).
+// ρ = (I + r·σ) / 2, ahol |r| <= 1; |r| = 1 pontosan a tiszta állapotokra.
+export function isDensityMatrix(state) {
+  return Array.isArray(state[0]);
+}
+
+export function densityMatrix(state) {
+  if (isDensityMatrix(state)) return state;
+  const [alpha, beta] = state;
+  return [
+    [C(abs2(alpha),0), mul(alpha, conj(beta))],
+    [mul(beta, conj(alpha)), C(abs2(beta),0)]
+  ];
+}
+
+export function blochToDensity({ x, y, z }) {
+  return [
+    [C((1 + z) / 2,0), C(x / 2, -y / 2)],
+    [C(x / 2, y / 2), C((1 - z) / 2,0)]
+  ];
+}
+
+export function densityToBloch(rho) {
+  const x = 2 * rho[0][1].re;
+  const y = -2 * rho[0][1].im;
+  const z = rho[0][0].re - rho[1][1].re;
+  return new THREE.Vector3(x, y, z);
+}
+
+export function matrixMultiply(a, b) {
+  return a.map(row => b[0].map((_, c) => row.reduce((acc, v, k) => add(acc, mul(v, b[k][c])), C(0,0))));
+}
+
+function dagger(mat) {
+  return mat[0].map((_, c) => mat.map(row => conj(row[c])));
+}
+
+// --- Általános állapot (vektor vagy sűrűségmátrix) műveletek ---
+export function toBloch(state) {
+  return isDensityMatrix(state) ? densityToBloch(state) : stateToBloch(state);
+}
+
+// Egységnyi hosszú vektorból tiszta állapot, rövidebből kevert állapot lesz
+export function fromBloch({ x, y, z }) {
+  const length = Math.sqrt(x * x + y * y + z * z);
+  if (length > 1 + 1e-9) throw new Error('A Bloch-vektor hossza legfeljebb 1 lehet');
+  if (Math.abs(length - 1) < 1e-9) return blochToState({ x, y, z });
+  return blochToDensity({ x, y, z });
+}
+
+// Tiszta állapotra U|ψ>, kevert állapotra U ρ U†
+export function evolve(gateMatrix, state) {
+  if (isDensityMatrix(state)) {
+    return matrixMultiply(matrixMultiply(gateMatrix, state), dagger(gateMatrix));
+  }
+  return normalize(applyGate(gateMatrix, state));
+}
+
+// --- Kvantumcsatornák (zaj) Kraus-operátorokkal ---
+// ρ -> Σ K ρ K†, ahol Σ K†K = I. Minden gyár a Kraus-operátorok listáját adja vissza.
+export const IDENTITY = [
+  [C(1,0), C(0,0)],
+  [C(0,0), C(1,0)]
+];
+
+function scaleMatrix(mat, k) {
+  return mat.map(row => row.map(v => scale(v, k)));
+}
+
+// T1 jellegű relaxáció |1> -> |0> felé, gamma valószínűséggel
+export function AMPLITUDE_DAMPING(gamma) {
+  return [
+    [[C(1,0), C(0,0)], [C(0,0), C(Math.sqrt(1 - gamma),0)]],
+    [[C(0,0), C(Math.sqrt(gamma),0)], [C(0,0), C(0,0)]]
+  ];
+}
+
+// T2 jellegű fázisvesztés, a populációk nem változnak
+export function PHASE_DAMPING(lambda) {
+  return [
+    [[C(1,0), C(0,0)], [C(0,0), C(Math.sqrt(1 - lambda),0)]],
+    [[C(0,0), C(0,0)], [C(0,0), C(Math.sqrt(lambda),0)]]
+  ];
+}
+
+// ρ -> (1 - p) ρ + p I/2
+export function DEPOLARIZING(p) {
+  return [
+    scaleMatrix(IDENTITY, Math.sqrt(1 - 3 * p / 4)),
+    scaleMatrix(PAULI_X, Math.sqrt(p / 4)),
+    scaleMatrix(PAULI_Y, Math.sqrt(p / 4)),
+    scaleMatrix(PAULI_Z, Math.sqrt(p / 4))
+  ];
+}
+
+export function BIT_FLIP(p) {
+  return [scaleMatrix(IDENTITY, Math.sqrt(1 - p)), scaleMatrix(PAULI_X, Math.sqrt(p))];
+}
+
+export function PHASE_FLIP(p) {
+  return [scaleMatrix(IDENTITY, Math.sqrt(1 - p)), scaleMatrix(PAULI_Z, Math.sqrt(p))];
+}
+
+export function applyChannel(krausOperators, state) {
+  const rho = densityMatrix(state);
+  return krausOperators
+    .map(k => matrixMultiply(matrixMultiply(k, rho), dagger(k)))
+    .reduce((acc, term) => acc.map((row, r) => row.map((v, c) => add(v, term[r][c]))));
+}
+
+// A csatorna hatása a Bloch-vektorokon affin: r -> M r + c.
+// Visszatérés: { matrix: 3x3 sorfolytonos tömb, center: c }
+export function channelBlochMap(krausOperators) {
+  const image = v => densityToBloch(applyChannel(krausOperators, blochToDensity(v)));
+  const center = image({ x: 0, y: 0, z: 0 });
+  const columns = [
+    image({ x: 1, y: 0, z: 0 }).sub(center),
+    image({ x: 0, y: 1, z: 0 }).sub(center),
+    image({ x: 0, y: 0, z: 1 }).sub(center)
+  ];
+  const matrix = [0, 1, 2].map(r => columns.map(col => col.getComponent(r)));
+  return { matrix, center };
+}
+
+// --- Projektív mérés egy tengely mentén ---
+// Π± = (I ± n·σ) / 2, a Born-szabály szerint P(±) = Tr(ρ Π±) = (1 ± r·n) / 2
+function traceProduct(a, b) {
+  return add(add(mul(a[0][0], b[0][0]), mul(a[0][1], b[1][0])), add(mul(a[1][0], b[0][1]), mul(a[1][1], b[1][1])));
+}
+
+export function measurementProbabilities(state, axis) {
+  const n = axis.clone().normalize();
+  const projector = blochToDensity(n);
+  const plus = Math.min(Math.max(traceProduct(densityMatrix(state), projector).re, 0), 1);
+  return [plus, 1 - plus];
+}
+
+// Egy lövés: 0 a +n, 1 a -n kimenet; az állapot a megfelelő sajátállapotba omlik
+export function measure(state, axis, rng) {
+  const [plus] = measurementProbabilities(state, axis);
+  const outcome = rng() < plus ? 0 : 1;
+  const n = axis.clone().normalize();
+  return { outcome, state: blochToState(outcome === 0 ? n : n.negate()) };
+}
+
+// N lövés összeomlás nélkül, a kimenetek darabszáma [+n, -n]
+export function sampleShots(state, axis, shots, rng) {
+  const [plus] = measurementProbabilities(state, axis);
+  let count = 0;
+  for (let i = 0; i < shots; i++) {
+    if (rng() < plus) count++;
+  }
+  return [count, shots - count];
+}
+
+// --- Állapottomográfia ---
+// A mérési eredmények tengelyenként: { x: [n+, n-], y: [n+, n-], z: [n+, n-] }
+const TOMOGRAPHY_AXES = {
+  x: new THREE.Vector3(1, 0, 0),
+  y: new THREE.Vector3(0, 1, 0),
+  z: new THREE.Vector3(0, 0, 1)
+};
+
+// Lineáris inverzió: r_i = (n+ - n-) / N; a becslés kieshet a Bloch-gömbből
+export function linearInversion(counts) {
+  const component = ([plus, minus]) => (plus - minus) / (plus + minus);
+  return new THREE.Vector3(component(counts.x), component(counts.y), component(counts.z));
+}
+
+// Maximum likelihood becslés. A likelihood tengelyenként szeparálható, így ha a lineáris
+// inverzió a gömbön belül van, az a maximum; különben Hradil RρR iterációja, ρ -> RρR / Tr,
+// R = Σ f_j / p_j Π_j, amely mindig fizikai állapotot ad.
+export function maximumLikelihood(counts, maxIterations = 20000, tolerance = 1e-10) {
+  const estimate = linearInversion(counts);
+  if (estimate.length() <= 1) return estimate;
+
+  const total = Object.values(counts).reduce((sum, [plus, minus]) => sum + plus + minus, 0);
+  const outcomes = Object.entries(TOMOGRAPHY_AXES).flatMap(([name, axis]) => [
+    { projector: blochToDensity(axis), frequency: counts[name][0] / total },
+    { projector: blochToDensity(axis.clone().negate()), frequency: counts[name][1] / total }
+  ]).filter(outcome => outcome.frequency > 0);
+
+  let rho = blochToDensity({ x: 0, y: 0, z: 0 });
+  let bloch = densityToBloch(rho);
+  for (let i = 0; i < maxIterations; i++) {
+    const r = outcomes
+      .map(({ projector, frequency }) => scaleMatrix(projector, frequency / traceProduct(rho, projector).re))
+      .reduce((acc, term) => acc.map((row, k) => row.map((v, c) => add(v, term[k][c]))));
+    const next = matrixMultiply(matrixMultiply(r, rho), r);
+    rho = scaleMatrix(next, 1 / (next[0][0].re + next[1][1].re));
+
+    const nextBloch = densityToBloch(rho);
+    const change = nextBloch.distanceTo(bloch);
+    bloch = nextBloch;
+    if (change < tolerance) break;
+  }
+  return bloch;
+}
+
+// Tengelyenként független binomiális becslés szórása: σ_i = √((1 - r_i²) / N).
+// Ha minden lövés egyforma, a szórás 0 lenne, ezért 1 - r_i² helyett legalább 1/N-t használunk.
+export function tomographyErrors(counts) {
+  const sigma = ([plus, minus]) => {
+    const shots = plus + minus;
+    const r = (plus - minus) / shots;
+    return Math.sqrt(Math.max(1 - r * r, 1 / shots) / shots);
+  };
+  return new THREE.Vector3(sigma(counts.x), sigma(counts.y), sigma(counts.z));
+}
+
+// --- Seedelhető véletlengenerátor (mulberry32), hogy a mérések reprodukálhatók legyenek ---
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Tr(ρ²) = (1 + |r|²) / 2
+export function purity(state) {
+  const r = toBloch(state).length();
+  return (1 + r * r) / 2;
+}
+
+// S(ρ) = -Σ λ log2 λ, a sajátértékek (1 ± |r|) / 2
+export function vonNeumannEntropy(state) {
+  const r = Math.min(toBloch(state).length(), 1);
+  return [(1 + r) / 2, (1 - r) / 2]
+    .filter(lambda => lambda > 1e-12)
+    .reduce((s, lambda) => s - lambda * Math.log2(lambda), 0);
+}
+
+// --- Mérési valószínűségek (Born-szabály) a Z bázisban ---
+export function probabilities(state) {
+  if (isDensityMatrix(state)) {
+    const total = state[0][0].re + state[1][1].re;
+    return [state[0][0].re / total, state[1][1].re / total];
+  }
+  const [alpha, beta] = state;
+  const total = abs2(alpha) + abs2(beta);
+  return [abs2(alpha) / total, abs2(beta) / total];
+}
+
+// --- Globális fázis: α argumentuma, ha α = 0, akkor β argumentuma ---
+// Kevert állapotnak nincs globális fázisa, ilyenkor null
+export function globalPhase(state) {
+  if (isDensityMatrix(state)) return null;
+  const [alpha, beta] = state;
+  const ref = abs2(alpha) > 1e-12 ? alpha : beta;
+  return Math.atan2(ref.im, ref.re);
+}
+
 export function applyAndConvert(cartesian, gateMatrix) {
   const state = blochToState(cartesian);
   const newstate = applyGate(gateMatrix, state);
   return stateToBloch(newstate);
 }
 
+// --- Unitér mátrix -> forgatás a Bloch-gömbön ---
+// U = e^{ia} (cos(θ/2) I - i sin(θ/2) n·σ), a globális fázist (e^{ia}) a determináns gyökével osztjuk ki.
+// Visszatérés: { axis: egységvektor, angle: [0, π] radián }, jobbkézszabály szerint.
+export function unitaryToAxisAngle(gateMatrix) {
+  const det = sub(mul(gateMatrix[0][0], gateMatrix[1][1]), mul(gateMatrix[0][1], gateMatrix[1][0]));
+  if (abs2(det) < 1e-12) throw new Error('A mátrix nem unitér');
+  const phase = csqrt(det);
+  const [[a, b], [c, d]] = gateMatrix.map(row => row.map(v => div(v, phase)));
+
+  let cosHalf = (a.re + d.re) / 2;
+  let nx = -(b.im + c.im) / 2;
+  let ny = (c.re - b.re) / 2;
+  let nz = (d.im - a.im) / 2;
+
+  // A gyök előjele szabad: a rövidebb (θ <= π) forgatást választjuk
+  if (cosHalf < 0) {
+    cosHalf = -cosHalf; nx = -nx; ny = -ny; nz = -nz;
+  }
+
+  const sinHalf = Math.sqrt(nx * nx + ny * ny + nz * nz);
+  if (sinHalf < 1e-9) {
+    return { axis: new THREE.Vector3(0, 0, 1), angle: 0 };
+  }
+
+  return {
+    axis: new THREE.Vector3(nx / sinHalf, ny / sinHalf, nz / sinHalf),
+    angle: 2 * Math.atan2(sinHalf, cosHalf)
+  };
+}
+
+// --- Unitér mátrix -> U3 paraméterek ---
+// U = e^{iα} U3(θ, φ, λ). Ha sin(θ/2) = 0, csak φ + λ számít, ekkor φ = 0;
+// ha cos(θ/2) = 0, csak φ - λ számít, ekkor λ = 0. A szögek (-π, π] tartományban.
+function arg(a) { return Math.atan2(a.im, a.re); }
+
+function wrapAngle(angle) {
+  const wrapped = angle - 2 * Math.PI * Math.round(angle / (2 * Math.PI));
+  return wrapped <= -Math.PI ? wrapped + 2 * Math.PI : wrapped;
+}
+
+export function unitaryToU3(gateMatrix) {
+  const [[a, b], [c, d]] = gateMatrix;
+  const theta = 2 * Math.atan2(Math.sqrt(abs2(c)), Math.sqrt(abs2(a)));
+
+  let phase, phi, lambda;
+  if (abs2(c) < 1e-12) {
+    phase = arg(a);
+    phi = 0;
+    lambda = arg(d) - phase;
+  } else if (abs2(a) < 1e-12) {
+    phase = arg(scale(b, -1));
+    phi = arg(c) - phase;
+    lambda = 0;
+  } else {
+    phase = arg(a);
+    phi = arg(c) - phase;
+    lambda = arg(scale(b, -1)) - phase;
+  }
+  return { theta, phi: wrapAngle(phi), lambda: wrapAngle(lambda), phase: wrapAngle(phase) };
+}
+
+// --- Két állapot összehasonlítása ---
+// Hűség (Uhlmann, négyzetes alak), Bloch-vektorokkal: F = (1 + r·s + √((1-|r|²)(1-|s|²))) / 2
+export function fidelity(a, b) {
+  const r = toBloch(a), s = toBloch(b);
+  const mixedness = Math.max(0, 1 - r.lengthSq()) * Math.max(0, 1 - s.lengthSq());
+  return Math.min(1, (1 + r.dot(s) + Math.sqrt(mixedness)) / 2);
+}
+
+// Nyomtávolság: D = |r - s| / 2
+export function traceDistance(a, b) {
+  return toBloch(a).distanceTo(toBloch(b)) / 2;
+}
+
+// Forgatás tetszőleges n egységvektor körül: R_n(θ) = cos(θ/2) I - i sin(θ/2) n·σ
+export function ROTATION_GATE(axis, theta) {
+  const c = Math.cos(theta / 2), s = Math.sin(theta / 2);
+  const { x, y, z } = axis;
+  return [
+    [C(c, -s * z), C(-s * y, -s * x)],
+    [C(s * y, -s * x), C(c, s * z)]
+  ];
+}
+
+// --- Kapuszintézis ---
+// ZYZ Euler-felbontás: U = e^{iα} Rz(β) Ry(γ) Rz(δ); az U3 alakból, mert U3(θ, φ, λ) = e^{i(φ+λ)/2} Rz(φ) Ry(θ) Rz(λ)
+export function zyzDecomposition(gateMatrix) {
+  const { theta, phi, lambda, phase } = unitaryToU3(gateMatrix);
+  return { alpha: wrapAngle(phase + (phi + lambda) / 2), beta: phi, gamma: theta, delta: lambda };
+}
+
+// Globális fázistól független távolság: d(U, V) = √(1 - |Tr(U†V)| / 2), 0 pontosan akkor, ha U ~ V
+export function unitaryDistance(u, v) {
+  const overlap = Math.sqrt(abs2(traceProduct(dagger(u), v)));
+  return Math.sqrt(Math.max(0, 1 - overlap / 2));
+}
+
+// Ennyi különböző mátrix után áll meg a keresés; ez a 28 hosszú sorozatokig elég
+export const CLIFFORD_T_MAX_NODES = 200000;
+
+export const CLIFFORD_T_GATES = [
+  { name: 'H', matrix: HADAMARD },
+  { name: 'T', matrix: T_GATE },
+  { name: 'S', matrix: S_GATE },
+  { name: 'X', matrix: PAULI_X }
+];
+
+// A mátrix kulcsa a globális fázis leválasztása után: az első nem nulla elem valós pozitív lesz
+function phaseFreeKey(mat) {
+  const entries = mat.flat();
+  const pivot = entries.find(v => abs2(v) > 1e-6);
+  const unit = scale(conj(pivot), 1 / Math.sqrt(abs2(pivot)));
+  return entries.map(v => {
+    const w = mul(v, unit);
+    return `${Math.round(w.re * 1e8)},${Math.round(w.im * 1e8)}`;
+  }).join(';');
+}
+
+// Szélességi keresés a {H, T, S, X} szorzatai között. A globális fázisban eltérő mátrixokat
+// egynek vesszük, így minden unitérhez csak a legrövidebb sorozat marad meg. distance(U) a hiba.
+// Eredmény: a legrövidebb, precision-nél nem rosszabb sorozat (egyenlő hossznál a kisebb T-számú);
+// ha ilyen nincs maxLength hosszig vagy maxNodes mátrixig, a legkisebb hibájú.
+// stoppedBy megmondja, melyik korlát állította meg: 'length', 'nodes' vagy null.
+// Generátor: chunkSize új mátrixonként {depth, explored} haladást ad vissza, hogy a hívó
+// közben visszaadhassa a vezérlést a böngészőnek; az eredmény a visszatérési érték.
+export function* cliffordTSearch(distance, precision, maxLength = 20, maxNodes = CLIFFORD_T_MAX_NODES, chunkSize = 5000) {
+  const better = (a, b) => {
+    const aFits = a.error <= precision, bFits = b.error <= precision;
+    if (aFits !== bFits) return aFits;
+    if (!aFits) return a.error < b.error - 1e-12;
+    if (a.length !== b.length) return a.length < b.length;
+    if (a.tCount !== b.tCount) return a.tCount < b.tCount;
+    return a.error < b.error - 1e-12;
+  };
+
+  const root = { matrix: IDENTITY, parent: null, gate: null, length: 0, tCount: 0, error: distance(IDENTITY) };
+  const seen = new Set([phaseFreeKey(IDENTITY)]);
+  let best = root;
+  let frontier = [root];
+  let depth = 0;
+  let stoppedBy = null;
+
+  search: while (best.error > precision && frontier.length > 0) {
+    if (frontier[0].length >= maxLength) {
+      stoppedBy = 'length';
+      break;
+    }
+    const next = [];
+    for (const node of frontier) {
+      for (const gate of CLIFFORD_T_GATES) {
+        const matrix = matrixMultiply(gate.matrix, node.matrix);
+        const key = phaseFreeKey(matrix);
+        if (seen.has(key)) continue;
+        // A réteg közepén is megállunk, különben egy réteg a korlát sokszorosa lehet
+        if (seen.size >= maxNodes) {
+          stoppedBy = 'nodes';
+          break search;
+        }
+        seen.add(key);
+        if (seen.size % chunkSize === 0) yield { depth, explored: seen.size };
+        const child = {
+          matrix,
+          parent: node,
+          gate: gate.name,
+          length: node.length + 1,
+          tCount: node.tCount + (gate.name === 'T' ? 1 : 0),
+          error: distance(matrix)
+        };
+        next.push(child);
+        if (better(child, best)) best = child;
+      }
+    }
+    frontier = next;
+    depth++;
+  }
+
+  const sequence = [];
+  for (let node = best; node.parent != null; node = node.parent) sequence.unshift(node.gate);
+  return {
+    sequence,
+    matrix: best.matrix,
+    error: best.error,
+    tCount: best.tCount,
+    reached: best.error <= precision,
+    // Kimerült a keresés (a csoport véges része), vagy a korlátok állították meg
+    exhausted: stoppedBy == null && best.error > precision,
+    stoppedBy,
+    // A leghosszabb, teljesen átnézett sorozathossz
+    depth,
+    explored: seen.size
+  };
+}
+
+// Ugyanez egy lépésben, a részeredmények nélkül
+export function searchCliffordT(distance, precision, maxLength = 20, maxNodes = CLIFFORD_T_MAX_NODES) {
+  const search = cliffordTSearch(distance, precision, maxLength, maxNodes);
+  let step = search.next();
+  while (!step.done) step = search.next();
+  return step.value;
+}
+
+// --- Két qubit ---
+// Állapot: [c00, c01, c10, c11], az első tényező a q0 qubit (|q0 q1>).
+
+// Kronecker-szorzat, vektorokra és mátrixokra is
+export function kron(a, b) {
+  if (!Array.isArray(a[0])) {
+    return a.flatMap(x => b.map(y => mul(x, y)));
+  }
+  return a.flatMap(rowA => b.map(rowB => rowA.flatMap(x => rowB.map(y => mul(x, y)))));
+}
+
+const c0 = C(0,0), c1 = C(1,0);
+
+// Vezérlő: q0, cél: q1
+export const CNOT = [
+  [c1, c0, c0, c0],
+  [c0, c1, c0, c0],
+  [c0, c0, c0, c1],
+  [c0, c0, c1, c0]
+];
+
+// Vezérlő: q1, cél: q0
+export const CNOT_REVERSED = [
+  [c1, c0, c0, c0],
+  [c0, c0, c0, c1],
+  [c0, c0, c1, c0],
+  [c0, c1, c0, c0]
+];
+
+export const CZ = [
+  [c1, c0, c0, c0],
+  [c0, c1, c0, c0],
+  [c0, c0, c1, c0],
+  [c0, c0, c0, C(-1,0)]
+];
+
+export const SWAP = [
+  [c1, c0, c0, c0],
+  [c0, c0, c1, c0],
+  [c0, c1, c0, c0],
+  [c0, c0, c0, c1]
+];
+
+// Egyqubites kapu a target qubitra: U ⊗ I vagy I ⊗ U
+export function liftGate(gateMatrix, target) {
+  return target === 0 ? kron(gateMatrix, IDENTITY) : kron(IDENTITY, gateMatrix);
+}
+
+export function applyTwoQubitGate(gateMatrix, state) {
+  if (state.length !== 4) throw new Error('Kétqubites állapot 4 komponensű');
+  return normalize(matrixVectorMultiply(gateMatrix, state));
+}
+
+// Redukált sűrűségmátrix a másik qubit kiátlagolásával (parciális nyom)
+export function reducedDensityMatrix(state, qubit) {
+  if (state.length !== 4) throw new Error('Kétqubites állapot 4 komponensű');
+  const amplitude = (own, other) => qubit === 0 ? state[2 * own + other] : state[2 * other + own];
+  return [0, 1].map(r => [0, 1].map(c =>
+    [0, 1].reduce((acc, k) => add(acc, mul(amplitude(r, k), conj(amplitude(c, k)))), C(0,0))));
+}
+
+// Tiszta állapot konkurrenciája: C = 2 |c00 c11 - c01 c10|, 0 (szorzat) ... 1 (Bell)
+export function concurrence(state) {
+  const [a, b, c, d] = state;
+  return 2 * Math.sqrt(abs2(sub(mul(a, d), mul(b, c))));
+}
+
+// Összefonódási entrópia: a redukált állapot Neumann-entrópiája, bitben
+export function entanglementEntropy(state) {
+  return vonNeumannEntropy(reducedDensityMatrix(state, 0));
+}
+
+// --- Unitaritás ---
+// ‖U†U - I‖ Frobenius-normája; unitér mátrixra 0.
+export function unitarityError(gateMatrix) {
+  const product = matrixMultiply(dagger(gateMatrix), gateMatrix);
+  return Math.sqrt(product.reduce((acc, row, r) =>
+    row.reduce((sum, v, c) => sum + abs2(sub(v, IDENTITY[r][c])), acc), 0));
+}
+
+// A legközelebbi unitér mátrix (poláris felbontás): U = M (M†M)^{-1/2}.
+// 2x2 pozitív H-ra H^{1/2} = (H + √det(H) I) / √(tr(H) + 2√det(H)).
+export function nearestUnitary(gateMatrix) {
+  const h = matrixMultiply(dagger(gateMatrix), gateMatrix);
+  const det = h[0][0].re * h[1][1].re - abs2(h[0][1]);
+  if (det < 1e-12) throw new Error('Szinguláris mátrixhoz nincs legközelebbi unitér mátrix');
+  const s = Math.sqrt(det);
+  const t = Math.sqrt(h[0][0].re + h[1][1].re + 2 * s);
+  // (H^{1/2})^{-1} = adj(H^{1/2}) / det(H^{1/2}), ahol det(H^{1/2}) = s
+  const inverseRoot = [
+    [C((h[1][1].re + s) / (t * s), 0), scale(h[0][1], -1 / (t * s))],
+    [scale(h[1][0], -1 / (t * s)), C((h[0][0].re + s) / (t * s), 0)]
+  ];
+  return matrixMultiply(gateMatrix, inverseRoot);
+}
+
 // --- FŐ EXPORTÁLT KAPU FÜGGVÉNYEK ---
 
 
@@ -0,0 +1,300 @@
+/**
+ * OpenQASM 2.0 / 3.0 reader and writer for single-qubit circuits.
+ *
+ * Only what makes sense on one Bloch sphere is read: the header, includes,
+ * one single-qubit register, classical declarations, barriers and the standard
+ * single-qubit gates. Everything else is reported with its line number.
+ * Parameters use the angle grammar of expression.js, but are always radians,
+ * as in QASM.
+ *
+ * Operations carry a `qasm` field ({ name, params }) with the canonical gate
+ * name, so circuits built from the gate buttons export with readable names.
+ * Gates without it are written as a general `u` gate.
+ */
+
+import * as THREE from 'three';
+import * as QMath from './math.js';
+import { AngleParser, ParseError, tokenize } from './expression.js';
+
+const X_AXIS = new THREE.Vector3(1, 0, 0);
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
+const Z_AXIS = new THREE.Vector3(0, 0, 1);
+
+function fixed(label, name, gate) {
+  return { params: 0, make: () => ({ label, gate, qasm: { name, params: [] } }) };
+}
+
+function rotation(label, name, factory, axis) {
+  return {
+    params: 1,
+    make: ([theta], [text]) => ({
+      label: `${label}(${text})`,
+      gate: factory(theta),
+      rotation: { axis, angle: theta },
+      qasm: { name, params: [theta] }
+    })
+  };
+}
+
+const phase = {
+  params: 1,
+  make: ([lambda], [text]) => ({ label: `P(${text})`, gate: QMath.PHASE_GATE(lambda), qasm: { name: 'p', params: [lambda] } })
+};
+
+const u3 = {
+  params: 3,
+  make: (params, texts) => ({ label: `U3(${texts.join(', ')})`, gate: QMath.U3_GATE(...params), qasm: { name: 'u', params } })
+};
+
+// Gate name -> number of parameters and a factory for the operation
+export const GATES = {
+  id: fixed('I', 'id', QMath.IDENTITY),
+  x: fixed('X', 'x', QMath.PAULI_X),
+  y: fixed('Y', 'y', QMath.PAULI_Y),
+  z: fixed('Z', 'z', QMath.PAULI_Z),
+  h: fixed('H', 'h', QMath.HADAMARD),
+  s: fixed('S', 's', QMath.S_GATE),
+  sdg: fixed('S†', 'sdg', QMath.PHASE_GATE(-Math.PI / 2)),
+  t: fixed('T', 't', QMath.T_GATE),
+  tdg: fixed('T†', 'tdg', QMath.PHASE_GATE(-Math.PI / 4)),
+  p: phase,
+  u1: phase,
+  rx: rotation('Rx', 'rx', QMath.RX_GATE, X_AXIS),
+  ry: rotation('Ry', 'ry', QMath.RY_GATE, Y_AXIS),
+  rz: rotation('Rz', 'rz', QMath.RZ_GATE, Z_AXIS),
+  u: u3,
+  U: u3,
+  u3,
+  u2: {
+    params: 2,
+    make: ([phi, lambda], texts) => ({
+      label: `U2(${texts.join(', ')})`,
+      gate: QMath.U3_GATE(Math.PI / 2, phi, lambda),
+      qasm: { name: 'u', params: [Math.PI / 2, phi, lambda] }
+    })
+  }
+};
+
+const INCLUDES = ['qelib1.inc', 'stdgates.inc'];
+
+/**
+ * Blanks out comments while keeping every newline, so line numbers still match.
+ */
+function stripComments(text) {
+  return text
+    .replace(/\/\*[\s\S]*?\*\//g, comment => comment.replace(/[^\n]/g, ' '))
+    .replace(/\/\/.*/g, '');
+}
+
+/**
+ * Splits the program at semicolons.
+ *
+ * @returns {{text: string, line: number}[]} Statements with the line they start on.
+ */
+function splitStatements(text) {
+  const statements = [];
+  let current = '';
+  let line = 1;
+  let startLine = null;
+  for (const ch of text) {
+    if (ch === ';') {
+      statements.push({ text: current.trim(), line: startLine ?? line, terminated: true });
+      current = '';
+      startLine = null;
+    } else {
+      if (startLine == null && !/\s/.test(ch)) startLine = line;
+      current += ch;
+    }
+    if (ch === '\n') line++;
+  }
+  if (current.trim() !== '') {
+    statements.push({ text: current.trim(), line: startLine, terminated: false });
+  }
+  return statements;
+}
+
+/**
+ * Splits a parameter list at the commas that are not inside parentheses.
+ */
+function splitParams(text) {
+  const params = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of text) {
+    if (ch === ',' && depth === 0) {
+      params.push(current.trim());
+      current = '';
+      continue;
+    }
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+    current += ch;
+  }
+  if (current.trim() !== '' || params.length > 0) params.push(current.trim());
+  return params;
+}
+
+function parseParam(text) {
+  const parser = new AngleParser(tokenize(text));
+  if (parser.peek().type === 'end') throw new ParseError('empty parameter', 0);
+  const value = parser.expression();
+  const token = parser.peek();
+  if (token.type !== 'end') throw new ParseError(`unexpected "${token.value}" in parameter "${text}"`, token.position);
+  if (!Number.isFinite(value)) throw new ParseError(`parameter "${text}" is not a finite number`, 0);
+  return value;
+}
+
+const DECLARATION_RE = /^(?:qreg\s+([A-Za-z_]\w*)\s*\[\s*(\d+)\s*\]|qubit\s*(?:\[\s*(\d+)\s*\])?\s+([A-Za-z_]\w*))$/;
+const CLASSICAL_RE = /^(?:creg\s+[A-Za-z_]\w*\s*\[\s*\d+\s*\]|bit\s*(?:\[\s*\d+\s*\])?\s+[A-Za-z_]\w*)$/;
+const GATE_CALL_RE = /^([A-Za-z_]\w*)\s*(?:\((.*)\))?\s+([^\s]+)$/;
+
+/**
+ * Parses a single-qubit OpenQASM program.
+ *
+ * @param {string} text The program.
+ * @returns {{operations: object[], errors: {line: number, message: string}[]}}
+ *     The gates in program order, each with the line it came from, and every
+ *     problem found. Callers should not run a program that has errors.
+ */
+export function parseQasm(text) {
+  const operations = [];
+  const errors = [];
+  let register = null;
+
+  const operandMatches = (operand) => {
+    if (register == null) return /^\$0$/.test(operand);
+    return operand === register || new RegExp(`^${register}\\[\\s*0\\s*\\]$`).test(operand);
+  };
+
+  splitStatements(stripComments(text)).forEach(({ text: statement, line, terminated }) => {
+    const report = (message) => errors.push({ line, message });
+    if (statement === '') return;
+    if (!terminated) {
+      report('missing ";" at the end of the statement');
+      return;
+    }
+
+    const header = statement.match(/^OPENQASM\s+(\S+)$/);
+    if (header) {
+      if (!['2', '2.0', '3', '3.0'].includes(header[1])) report(`unsupported OpenQASM version ${header[1]}`);
+      return;
+    }
+
+    const include = statement.match(/^include\s+"([^"]*)"$/);
+    if (include) {
+      if (!INCLUDES.includes(include[1])) report(`cannot include "${include[1]}", only ${INCLUDES.join(' and ')}`);
+      return;
+    }
+
+    const declaration = statement.match(DECLARATION_RE);
+    if (declaration) {
+      const name = declaration[1] ?? declaration[4];
+      const size = Number(declaration[2] ?? declaration[3] ?? 1);
+      if (register != null) {
+        report(`only one qubit register is supported, "${register}" is already declared`);
+      } else if (size !== 1) {
+        report(`only single-qubit circuits are supported, "${name}" has ${size} qubits`);
+      } else {
+        register = name;
+      }
+      return;
+    }
+
+    if (CLASSICAL_RE.test(statement) || /^barrier\b/.test(statement)) return;
+
+    const call = statement.match(GATE_CALL_RE);
+    const definition = call != null && Object.hasOwn(GATES, call[1]) ? GATES[call[1]] : null;
+    if (definition == null) {
+      const keyword = statement.split(/[\s(]/)[0];
+      report(Object.hasOwn(GATES, keyword)
+        ? `malformed "${keyword}" statement, expected "${keyword}${GATES[keyword].params > 0 ? '(...)' : ''} q[0];"`
+        : `unsupported statement "${keyword}"`);
+      return;
+    }
+
+    const [, name, paramText, operand] = call;
+    if (!operandMatches(operand)) {
+      report(register == null
+        ? `gate "${name}" is applied before a qubit register is declared`
+        : `gate "${name}" must act on ${register}[0], not ${operand}`);
+      return;
+    }
+
+    const texts = paramText != null ? splitParams(paramText) : [];
+    if (texts.length !== definition.params) {
+      report(`gate "${name}" takes ${definition.params} parameter(s), got ${texts.length}`);
+      return;
+    }
+
+    let params;
+    try {
+      params = texts.map(parseParam);
+    } catch (e) {
+      if (!(e instanceof ParseError)) throw e;
+      report(e.message);
+      return;
+    }
+
+    operations.push({ ...definition.make(params, texts), line });
+  });
+
+  return { operations, errors };
+}
+
+// --- Writing ---
+
+const PI_DENOMINATORS = [1, 2, 3, 4, 6, 8, 12];
+
+/**
+ * Writes an angle as a multiple of pi where that is exact, e.g. "3*pi/4".
+ */
+export function formatAngle(angle) {
+  for (const den of PI_DENOMINATORS) {
+    const num = angle / Math.PI * den;
+    if (Math.abs(num - Math.round(num)) < 1e-9) {
+      const n = Math.round(num);
+      if (n === 0) return '0';
+      const sign = n < 0 ? '-' : '';
+      const coefficient = Math.abs(n) === 1 ? 'pi' : `${Math.abs(n)}*pi`;
+      return den === 1 ? `${sign}${coefficient}` : `${sign}${coefficient}/${den}`;
+    }
+  }
+  return String(Number(angle.toPrecision(12)));
+}
+
+// Canonical names that are spelled differently in each version
+const VERSION_NAMES = {
+  2: { p: 'u1', u: 'u3' },
+  3: { u: 'U' }
+};
+
+function writeGate({ name, params }, version, target) {
+  const written = VERSION_NAMES[version][name] ?? name;
+  const args = params.length > 0 ? `(${params.map(formatAngle).join(', ')})` : '';
+  return `${written}${args} ${target};`;
+}
+
+/**
+ * Writes operations as an OpenQASM program on a single qubit `q`.
+ *
+ * @param {object[]} operations Circuit operations, see applyOperation in main.js.
+ * @param {number} version 2 or 3.
+ * @returns {string} The program. Channels and measurements become comments.
+ */
+export function exportQasm(operations, version = 3) {
+  const lines = version === 2
+    ? ['OPENQASM 2.0;', 'include "qelib1.inc";', 'qreg q[1];']
+    : ['OPENQASM 3.0;', 'include "stdgates.inc";', 'qubit[1] q;'];
+
+  operations.forEach(operation => {
+    if (operation.qasm != null) {
+      lines.push(writeGate(operation.qasm, version, 'q[0]'));
+    } else if (operation.gate != null) {
+      const { theta, phi, lambda } = QMath.unitaryToU3(operation.gate);
+      lines.push(`${writeGate({ name: 'u', params: [theta, phi, lambda] }, version, 'q[0]')} // ${operation.label}`);
+    } else {
+      lines.push(`// ${operation.label}: not a gate, cannot be written in OpenQASM`);
+    }
+  });
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,295 @@
+/**
+ * Versioned JSON format for saving whole scenes.
+ *
+ *   {
+ *     "format": "bloch-sim-scene", "version": 1,
+ *     "theme": "dark" | "light",
+ *     "camera": { "position": [x, y, z], "target": [x, y, z], "zoom": 1 },
+ *     "qbits": [{ "id", "color": "#rrggbb", "initialState", "state", "circuit", "step" }]
+ *   }
+ *
+ * Complex numbers are written as [re, im]. A state is either a ket
+ * [α, β] or a density matrix [[ρ00, ρ01], [ρ10, ρ11]]. Circuit operations keep
+ * their label and exactly one of `gate` (2x2 matrix, with an optional
+ * `rotation`: { axis: [x, y, z], angle }), `kraus` (list of 2x2 matrices) or
+ * `collapse` (the recorded post-measurement state). Gates may also keep their
+ * OpenQASM form as `qasm`: { name, params }. Qubits are listed in the order
+ * they appear in the side panel.
+ */
+
+import * as THREE from 'three';
+import { C, isDensityMatrix, toBloch } from './math.js';
+
+export const SCENE_FORMAT = 'bloch-sim-scene';
+export const SCENE_VERSION = 1;
+
+const HASH_PREFIX = '#scene=';
+const THEMES = ['dark', 'light'];
+const STATE_TOLERANCE = 1e-6;
+
+export class SceneError extends Error {
+  /**
+   * @param {string} message Human readable description of the problem.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'SceneError';
+  }
+}
+
+// Twelve significant digits keep shared links short without visible rounding
+function round(value) {
+  return Number(value.toPrecision(12));
+}
+
+function writeComplex({ re, im }) {
+  return [round(re), round(im)];
+}
+
+export function writeMatrix(matrix) {
+  return matrix.map(row => row.map(writeComplex));
+}
+
+function writeState(state) {
+  return isDensityMatrix(state) ? writeMatrix(state) : state.map(writeComplex);
+}
+
+function writeOperation(operation) {
+  const written = { label: operation.label };
+  if (operation.gate != null) {
+    written.gate = writeMatrix(operation.gate);
+    if (operation.rotation != null) {
+      const { axis, angle } = operation.rotation;
+      written.rotation = { axis: [axis.x, axis.y, axis.z].map(round), angle: round(angle) };
+    }
+    if (operation.qasm != null) {
+      written.qasm = { name: operation.qasm.name, params: operation.qasm.params.map(round) };
+    }
+  } else if (operation.kraus != null) {
+    written.kraus = operation.kraus.map(writeMatrix);
+  } else {
+    written.collapse = writeState(operation.collapse);
+  }
+  return written;
+}
+
+/**
+ * Converts a scene into its JSON representation.
+ *
+ * @param {{theme: string, camera: {position: THREE.Vector3, target: THREE.Vector3, zoom: number},
+ *     qbits: {id: number, color: number, initialState: Array, state: Array, circuit: object[], step: number}[]}} scene
+ * @returns {object} A plain object ready for JSON.stringify.
+ */
+export function serializeScene({ theme, camera, qbits }) {
+  return {
+    format: SCENE_FORMAT,
+    version: SCENE_VERSION,
+    theme,
+    camera: {
+      position: camera.position.toArray().map(round),
+      target: camera.target.toArray().map(round),
+      zoom: round(camera.zoom)
+    },
+    qbits: qbits.map(qbit => ({
+      id: qbit.id,
+      color: `#${qbit.color.toString(16).padStart(6, '0')}`,
+      initialState: writeState(qbit.initialState),
+      state: writeState(qbit.state),
+      circuit: qbit.circuit.map(writeOperation),
+      step: qbit.step
+    }))
+  };
+}
+
+// --- Reading and validation ---
+
+function fail(path, message) {
+  throw new SceneError(`${path}: ${message}`);
+}
+
+function isObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function readNumber(value, path) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) fail(path, 'expected a finite number');
+  return value;
+}
+
+function readVector(value, path) {
+  if (!Array.isArray(value) || value.length !== 3) fail(path, 'expected [x, y, z]');
+  return new THREE.Vector3(...value.map((v, i) => readNumber(v, `${path}[${i}]`)));
+}
+
+function readComplex(value, path) {
+  if (!Array.isArray(value) || value.length !== 2) fail(path, 'expected a complex number [re, im]');
+  return C(readNumber(value[0], `${path}[0]`), readNumber(value[1], `${path}[1]`));
+}
+
+export function readMatrix(value, path) {
+  if (!Array.isArray(value) || value.length !== 2 || !value.every(row => Array.isArray(row) && row.length === 2)) {
+    fail(path, 'expected a 2x2 matrix of [re, im] entries');
+  }
+  return value.map((row, r) => row.map((entry, c) => readComplex(entry, `${path}[${r}][${c}]`)));
+}
+
+function readState(value, path) {
+  if (!Array.isArray(value) || value.length !== 2) fail(path, 'expected a ket [α, β] or a 2x2 density matrix');
+
+  // A density matrix has rows of complex numbers, a ket has the complex numbers themselves
+  if (Array.isArray(value[0]) && Array.isArray(value[0][0])) {
+    const rho = readMatrix(value, path);
+    const trace = rho[0][0].re + rho[1][1].re;
+    const hermitian = Math.abs(rho[0][0].im) + Math.abs(rho[1][1].im) +
+      Math.abs(rho[0][1].re - rho[1][0].re) + Math.abs(rho[0][1].im + rho[1][0].im);
+    if (Math.abs(trace - 1) > STATE_TOLERANCE) fail(path, 'density matrix must have trace 1');
+    if (hermitian > STATE_TOLERANCE) fail(path, 'density matrix must be Hermitian');
+    if (toBloch(rho).length() > 1 + STATE_TOLERANCE) fail(path, 'density matrix must be positive semidefinite');
+    return rho;
+  }
+
+  const ket = value.map((entry, i) => readComplex(entry, `${path}[${i}]`));
+  const norm = Math.sqrt(ket.reduce((acc, { re, im }) => acc + re * re + im * im, 0));
+  if (Math.abs(norm - 1) > STATE_TOLERANCE) fail(path, `ket must be normalised (norm is ${norm.toFixed(4)})`);
+  return ket;
+}
+
+function readOperation(value, path) {
+  if (!isObject(value)) fail(path, 'expected an operation object');
+  if (typeof value.label !== 'string') fail(`${path}.label`, 'expected a string');
+
+  const kinds = ['gate', 'kraus', 'collapse'].filter(kind => value[kind] !== undefined);
+  if (kinds.length !== 1) fail(path, 'expected exactly one of "gate", "kraus" or "collapse"');
+
+  const operation = { label: value.label };
+  if (value.gate !== undefined) {
+    operation.gate = readMatrix(value.gate, `${path}.gate`);
+    if (value.rotation !== undefined) {
+      if (!isObject(value.rotation)) fail(`${path}.rotation`, 'expected { axis, angle }');
+      operation.rotation = {
+        axis: readVector(value.rotation.axis, `${path}.rotation.axis`),
+        angle: readNumber(value.rotation.angle, `${path}.rotation.angle`)
+      };
+    }
+    if (value.qasm !== undefined) {
+      if (!isObject(value.qasm) || typeof value.qasm.name !== 'string' || !Array.isArray(value.qasm.params)) {
+        fail(`${path}.qasm`, 'expected { name, params }');
+      }
+      operation.qasm = {
+        name: value.qasm.name,
+        params: value.qasm.params.map((param, i) => readNumber(param, `${path}.qasm.params[${i}]`))
+      };
+    }
+  } else if (value.kraus !== undefined) {
+    if (!Array.isArray(value.kraus) || value.kraus.length === 0) fail(`${path}.kraus`, 'expected a list of matrices');
+    operation.kraus = value.kraus.map((matrix, i) => readMatrix(matrix, `${path}.kraus[${i}]`));
+  } else {
+    operation.collapse = readState(value.collapse, `${path}.collapse`);
+  }
+  return operation;
+}
+
+function readQbit(value, path) {
+  if (!isObject(value)) fail(path, 'expected a qubit object');
+  if (!Number.isInteger(value.id)) fail(`${path}.id`, 'expected an integer');
+  if (typeof value.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(value.color)) {
+    fail(`${path}.color`, 'expected a colour like "#1e90ff"');
+  }
+
+  const circuit = value.circuit ?? [];
+  if (!Array.isArray(circuit)) fail(`${path}.circuit`, 'expected a list of operations');
+  const step = value.step ?? circuit.length;
+  if (!Number.isInteger(step) || step < 0 || step > circuit.length) {
+    fail(`${path}.step`, `expected an integer between 0 and ${circuit.length}`);
+  }
+
+  const initialState = readState(value.initialState, `${path}.initialState`);
+  return {
+    id: value.id,
+    color: parseInt(value.color.slice(1), 16),
+    initialState,
+    state: value.state === undefined ? initialState : readState(value.state, `${path}.state`),
+    circuit: circuit.map((operation, i) => readOperation(operation, `${path}.circuit[${i}]`)),
+    step
+  };
+}
+
+/**
+ * Parses and validates a scene file.
+ *
+ * @param {string} text The JSON text.
+ * @returns {{theme: string, camera: {position: THREE.Vector3, target: THREE.Vector3, zoom: number}|null,
+ *     qbits: object[]}} The scene, with states in the representation used by math.js.
+ * @throws {SceneError} If the text is not a valid scene.
+ */
+export function parseScene(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new SceneError(`Not valid JSON (${e.message})`);
+  }
+
+  if (!isObject(data) || data.format !== SCENE_FORMAT) {
+    throw new SceneError('Not a Bloch sphere scene file');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) fail('version', 'expected a positive integer');
+  if (data.version > SCENE_VERSION) {
+    throw new SceneError(`The scene was saved in format version ${data.version}, this page reads up to version ${SCENE_VERSION}`);
+  }
+
+  const theme = data.theme ?? 'dark';
+  if (!THEMES.includes(theme)) fail('theme', `expected one of ${THEMES.join(', ')}`);
+
+  let camera = null;
+  if (data.camera !== undefined) {
+    if (!isObject(data.camera)) fail('camera', 'expected { position, target, zoom }');
+    camera = {
+      position: readVector(data.camera.position, 'camera.position'),
+      target: readVector(data.camera.target, 'camera.target'),
+      zoom: readNumber(data.camera.zoom, 'camera.zoom')
+    };
+    if (camera.zoom <= 0) fail('camera.zoom', 'must be positive');
+  }
+
+  if (!Array.isArray(data.qbits)) fail('qbits', 'expected a list of qubits');
+  const qbits = data.qbits.map((qbit, i) => readQbit(qbit, `qbits[${i}]`));
+  const ids = new Set();
+  qbits.forEach(({ id }, i) => {
+    if (ids.has(id)) fail(`qbits[${i}].id`, `duplicate id ${id}`);
+    ids.add(id);
+  });
+
+  return { theme, camera, qbits };
+}
+
+// --- URL hash ---
+// The JSON is UTF-8 encoded (labels contain characters such as ψ) and written as base64url.
+
+/**
+ * @param {object} data A serialized scene.
+ * @returns {string} A URL hash such as "#scene=eyJmb3Jt...".
+ */
+export function encodeSceneHash(data) {
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return HASH_PREFIX + btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} hash The URL hash, including the leading "#".
+ * @returns {string|null} The scene JSON, or null if the hash does not hold a scene.
+ * @throws {SceneError} If the hash holds a scene that cannot be decoded.
+ */
+export function decodeSceneHash(hash) {
+  if (!hash.startsWith(HASH_PREFIX)) return null;
+  const encoded = hash.slice(HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+  try {
+    const binary = atob(encoded);
+    const bytes = Uint8Array.from(binary, ch => ch.charCodeAt(0));
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (e) {
+    throw new SceneError('The scene link is damaged or incomplete');
+  }
+}